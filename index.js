@@ -1,17 +1,27 @@
+const ExpressionSyntaxError = require("./src/expressionsyntaxerror");
 const NumberRange = require("./src/numberrange");
 const ObjectAccessor = require("./src/objectaccessor");
 const ObjectComposer = require("./src/objectcomposer");
 const ObjectCompressor = require("./src/objectcompressor");
+const ObjectFilter = require("./src/objectfilter");
+const ObjectMatcher = require("./src/objectmatcher");
+const ObjectPathQuery = require("./src/objectpathquery");
+const ObjectQuery = require("./src/objectquery");
 const ObjectSorter = require("./src/objectsorter");
 const ObjectTreeWalker = require("./src/objecttreewalker");
 const ObjectUtils = require("./src/objectutils");
 const OrderField = require("./src/orderfield");
 
 module.exports = {
+    ExpressionSyntaxError: ExpressionSyntaxError,
     NumberRange: NumberRange,
     ObjectAccessor: ObjectAccessor,
     ObjectComposer: ObjectComposer,
     ObjectCompressor: ObjectCompressor,
+    ObjectFilter: ObjectFilter,
+    ObjectMatcher: ObjectMatcher,
+    ObjectPathQuery: ObjectPathQuery,
+    ObjectQuery: ObjectQuery,
     ObjectSorter: ObjectSorter,
     ObjectTreeWalker: ObjectTreeWalker,
     ObjectUtils: ObjectUtils,
@@ -0,0 +1,179 @@
+const ExpressionSyntaxError = require('./expressionsyntaxerror');
+const ObjectAccessor = require('./objectaccessor');
+
+// 字面量关键字及其值
+const literalKeywords = {
+    'true': true,
+    'false': false,
+    'null': null
+};
+
+/**
+ * 表达式解析器的基类，提供 ObjectFilter 和 ObjectPathQuery 的解析器共用的
+ * 字符读取、空白字符、字符串、数字、关键字以及名称路径的解析方法。
+ *
+ * PRIVATE
+ */
+class ExpressionParser {
+    constructor(expression) {
+        this.expression = expression;
+        this.pos = 0;
+    }
+
+    syntaxError(expected) {
+        return new ExpressionSyntaxError(this.expression, this.pos, expected);
+    }
+
+    peek(offset = 0) {
+        return this.expression[this.pos + offset];
+    }
+
+    isEnd() {
+        return this.pos >= this.expression.length;
+    }
+
+    skipSpaces() {
+        while (!this.isEnd() && /\s/.test(this.peek())) {
+            this.pos++;
+        }
+    }
+
+    expect(token) {
+        if (!this.expression.startsWith(token, this.pos)) {
+            throw this.syntaxError('"' + token + '"');
+        }
+        this.pos += token.length;
+    }
+
+    /**
+     * 如果当前位置是指定的关键字，则跳过该关键字并返回 true
+     *
+     * 关键字之后不能紧接着名称路径的字符，比如 'ORDER' 不是关键字 'OR'。
+     *
+     * @param {*} keyword
+     * @param {*} ignoreCase 是否不区分大小写，默认为 true
+     */
+    acceptKeyword(keyword, ignoreCase = true) {
+        let text = this.expression.substring(this.pos, this.pos + keyword.length);
+        let next = this.peek(keyword.length);
+
+        let isKeyword = ignoreCase ?
+            text.toUpperCase() === keyword.toUpperCase() : text === keyword;
+
+        if (!isKeyword || (next !== undefined && /[\w.$[']/.test(next))) {
+            return false;
+        }
+
+        this.pos += keyword.length;
+        return true;
+    }
+
+    /**
+     * 解析被单引号或双引号包括的字符串，两个连续的引号表示一个引号字符，
+     * 比如 'it''s' 表示 it's。
+     */
+    parseQuotedString() {
+        let quote = this.peek();
+        let buffer = [];
+        this.pos++;
+
+        while (!this.isEnd()) {
+            let c = this.peek();
+            if (c === quote) {
+                if (this.peek(1) === quote) {
+                    buffer.push(quote);
+                    this.pos += 2;
+                    continue;
+                }
+
+                this.pos++;
+                return buffer.join('');
+            }
+
+            buffer.push(c);
+            this.pos++;
+        }
+
+        throw this.syntaxError(quote === '"' ? '\'"\'' : '"\'"');
+    }
+
+    /**
+     * 解析数字，如果当前位置不是数字，则返回 undefined
+     */
+    parseNumber() {
+        let match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(this.expression.substring(this.pos));
+        if (match === null) {
+            return undefined;
+        }
+
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    /**
+     * 解析字面量关键字 true, false 和 null
+     *
+     * @param {*} ignoreCase 是否不区分大小写
+     * @returns 返回 {value}，如果当前位置不是字面量关键字，则返回 undefined
+     */
+    parseLiteralKeyword(ignoreCase) {
+        for (let keyword of Object.keys(literalKeywords)) {
+            if (this.acceptKeyword(keyword, ignoreCase)) {
+                return { value: literalKeywords[keyword] };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 解析名称路径，语法跟 ObjectAccessor.splitNamePath 方法的相同
+     *
+     * 名称路径遇到空白字符或者 isNameEnd 返回 true 时结束（被引号包括的属性名称
+     * 除外），方括号只有当其内容为整数（即数组索引）时才属于名称路径。
+     *
+     * @param {*} isNameEnd 判断当前位置是否为名称路径的结束的方法
+     * @param {*} allowPattern 是否解析通配模式，详细见 ObjectAccessor.parseNamePath 方法的说明。
+     * @returns 返回 {namePath, segments}
+     */
+    parseNamePath(isNameEnd, allowPattern = false) {
+        let start = this.pos;
+
+        while (!this.isEnd()) {
+            let c = this.peek();
+
+            if (c === '\'' || c === '"') {
+                // 被引号包括的属性名称，比如 "meta.'file name'"
+                this.parseQuotedString();
+
+            } else if (c === '[') {
+                let match = /^\[-?\d+\]/.exec(this.expression.substring(this.pos));
+                if (match === null) {
+                    break;
+                }
+                this.pos += match[0].length;
+
+            } else if (/\s/.test(c) || isNameEnd()) {
+                break;
+
+            } else {
+                this.pos++;
+            }
+        }
+
+        let namePath = this.expression.substring(start, this.pos);
+
+        try {
+            let segments = ObjectAccessor.parseNamePath(namePath, true, allowPattern);
+            return { namePath: namePath, segments: segments };
+        } catch (e) {
+            if (e instanceof ExpressionSyntaxError) {
+                // 转换为整个表达式当中的位置
+                this.pos = start + e.position;
+                throw this.syntaxError(e.expected);
+            }
+            throw e;
+        }
+    }
+}
+
+module.exports = ExpressionParser;
@@ -0,0 +1,30 @@
+/**
+ * 表达式（比如名称路径、属性名称序列等）的语法错误。
+ *
+ * 在严格模式（strict）下解析表达式时，如果遇到语法错误则抛出此异常，
+ * 异常对象包含出错的字符位置以及期望的记号（token），方便调用者
+ * 向用户提示错误的具体位置。
+ */
+class ExpressionSyntaxError extends Error {
+    /**
+     *
+     * @param {*} expression 被解析的表达式字符串
+     * @param {*} position 出错字符的位置（从 0 开始），当表达式意外结束时，
+     *     其值为表达式的长度。
+     * @param {*} expected 期望的记号的描述，比如 '"." or "["'
+     */
+    constructor(expression, position, expected) {
+        let actual = position < expression.length ?
+            '"' + expression[position] + '"' : 'end of expression';
+
+        super('Unexpected ' + actual + ' at position ' + position +
+            ', expected ' + expected + '.');
+
+        this.name = 'ExpressionSyntaxError';
+        this.expression = expression;
+        this.position = position;
+        this.expected = expected;
+    }
+}
+
+module.exports = ExpressionSyntaxError;
@@ -0,0 +1,69 @@
+/**
+ * 一个简单的 LRU（Least Recently Used）缓存。
+ *
+ * 当缓存的条目数量超过容量时，最久未被访问的条目会被移除。
+ *
+ * 供内部缓存解析过的表达式（比如名称路径）使用。
+ */
+class LRUCache {
+    /**
+     *
+     * @param {*} capacity 缓存的最大条目数量
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+
+        // Map 对象会按照插入的顺序迭代 key，所以第一个 key 即为最久未被访问的 key。
+        this.map = new Map();
+    }
+
+    /**
+     * 获取缓存的值
+     *
+     * @param {*} key
+     * @returns 如果缓存不存在指定的 key，则返回 undefined
+     */
+    get(key) {
+        if (!this.map.has(key)) {
+            return undefined;
+        }
+
+        // 重新插入条目，使其成为最近被访问的条目
+        let value = this.map.get(key);
+        this.map.delete(key);
+        this.map.set(key, value);
+        return value;
+    }
+
+    /**
+     * 设置缓存的值
+     *
+     * @param {*} key
+     * @param {*} value
+     */
+    set(key, value) {
+        if (this.map.has(key)) {
+            this.map.delete(key);
+        }
+
+        this.map.set(key, value);
+
+        if (this.map.size > this.capacity) {
+            let oldestKey = this.map.keys().next().value;
+            this.map.delete(oldestKey);
+        }
+    }
+
+    /**
+     * 清除所有缓存
+     */
+    clear() {
+        this.map.clear();
+    }
+
+    get size() {
+        return this.map.size;
+    }
+}
+
+module.exports = LRUCache;
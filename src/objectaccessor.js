@@ -1,3 +1,16 @@
+const ExpressionSyntaxError = require('./expressionsyntaxerror');
+const LRUCache = require('./lrucache');
+const ValueUtils = require('./valueutils');
+
+// 已编译的名称路径访问器的缓存的最大条目数量
+const compiledCacheCapacity = 1000;
+const compiledCache = new LRUCache(compiledCacheCapacity);
+
+// 允许通配模式的名称路径访问器的缓存，详细见 compile 方法的 allowPattern 参数
+const patternCompiledCache = new LRUCache(compiledCacheCapacity);
+
+const propertyIsEnumerable = Object.prototype.propertyIsEnumerable;
+
 class ObjectAccessor {
     /**
      * 通过名称路径（name path）获取对象的属性值。
@@ -6,11 +19,20 @@ class ObjectAccessor {
      * {
      *   foo: {
      *     bar: ...
-     *   }
+     *   },
+     *   items: [
+     *     {name: ...},
+     *     ...
+     *   ]
      * }
      *
      * 属性 “foo” 的名称路径为 “foo”，
      * 属性 “bar” 的名称路径为 “foo.bar”，
+     * 数组 items 第一个元素的 name 属性的名称路径为 “items[0].name”，
+     * 数组 items 最后一个元素的名称路径为 “items[-1]”。
+     *
+     * 如果名称路径当中含有通配符（“*” 或者 “**”），则返回第一个匹配的值，
+     * 如需获取所有匹配的值，请使用 getPropertyValuesByNamePath 方法。
      *
      * @param {*} sourceObject
      * @param {*} namePath 名称路径，
@@ -20,15 +42,566 @@ class ObjectAccessor {
      * @returns
      */
      static getPropertyValueByNamePath(sourceObject, namePath) {
-        let names = ObjectAccessor.splitNamePath(namePath); // 不能简单地使用 String.split('.') 函数分割
+        return ObjectAccessor.compile(namePath).get(sourceObject);
+    }
+
+    /**
+     * 通过含有通配符的名称路径（name path）获取对象的所有匹配的属性值。
+     *
+     * - 通配符 “*” 匹配对象的任意一个属性，或者数组的任意一个元素，比如
+     *   “items.*.name” 匹配数组 items 所有元素的 name 属性。
+     * - 通配符 “**” 匹配零层或者多层任意属性（或数组元素），比如
+     *   “**.id” 匹配对象本身以及所有后代对象的 id 属性。
+     *
+     * 名称路径也可以不含通配符，此时最多只有一个匹配项。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @returns 返回匹配项数组，[{names, value}, ...]，其中 names 是匹配项的
+     *     具体名称路径（不含通配符）的名称数组，数组元素为属性名称（String）或者
+     *     数组索引（Number）。
+     */
+    static getPropertyValuesByNamePath(sourceObject, namePath) {
+        return ObjectAccessor.compile(namePath).getAll(sourceObject);
+    }
+
+    /**
+     * 通过名称路径（name path）设置对象的属性值。
+     *
+     * - 如果路径当中的中间对象不存在（或者其值不是对象），则会自动创建一个
+     *   新的空对象 “{}” 作为中间对象，比如对于空对象 “{}” 设置名称路径
+     *   “foo.bar” 的值为 123，对象将会变为：
+     *   {
+     *     foo: {
+     *       bar: 123
+     *     }
+     *   }
+     * - 如果下一层的名称是数组索引，比如 “items[0]”，则创建的中间对象为空数组 “[]”。
+     * - 如果名称路径含有通配符，则只设置已存在的中间对象的属性值，不会创建新的中间对象。
+     * - 方法直接修改源对象。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @param {*} value
+     */
+    static setPropertyValueByNamePath(sourceObject, namePath, value) {
+        ObjectAccessor.compile(namePath).set(sourceObject, value);
+    }
+
+    /**
+     * 判断对象是否存在指定名称路径（name path）的属性。
+     *
+     * - 注意当属性存在但值为 undefined 时，该方法也返回 true。
+     * - 如果名称路径含有通配符，则只要存在一个匹配项即返回 true。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @returns
+     */
+    static hasPropertyByNamePath(sourceObject, namePath) {
+        return ObjectAccessor.compile(namePath).has(sourceObject);
+    }
+
+    /**
+     * 删除对象指定名称路径（name path）的属性。
+     *
+     * - 方法直接修改源对象，路径当中的中间对象不会被删除。
+     * - 当删除数组元素时（比如 “items[0]”），元素会从数组中移除，即后面的
+     *   元素会往前移动。
+     * - 如果名称路径含有通配符，则删除所有匹配项。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @returns 如果属性存在并被删除则返回 true，否则返回 false。
+     */
+    static deletePropertyByNamePath(sourceObject, namePath) {
+        return ObjectAccessor.compile(namePath).delete(sourceObject);
+    }
+
+    /**
+     * 通过 JSON Pointer（RFC 6901）获取对象的属性值。
+     *
+     * JSON Pointer 是一个使用斜杠（/）把多个属性名（或数组索引）相连的字符串，
+     * 比如 '/addr/0/city'，详细见 splitJsonPointer 方法的说明。
+     *
+     * https://datatracker.ietf.org/doc/html/rfc6901
+     *
+     * @param {*} sourceObject
+     * @param {*} pointer JSON Pointer 字符串，空字符串 '' 表示对象本身。
+     * @returns
+     */
+    static getPropertyValueByJsonPointer(sourceObject, pointer) {
+        let segments = ObjectAccessor._jsonPointerToSegments(sourceObject, pointer);
         let value = sourceObject;
-        while (value !== undefined && names.length > 0) {
-            let name = names.shift();
-            value = Object.keys(value).includes(name) ? value[name] : undefined;
+        for (let segment of segments) {
+            value = ObjectAccessor._getChildValue(value, segment);
         }
         return value;
     }
 
+    /**
+     * 通过 JSON Pointer（RFC 6901）设置对象的属性值。
+     *
+     * - 如果路径当中的中间对象不存在，则会自动创建，规则同 setPropertyValueByNamePath 方法。
+     * - 当属性的父对象是数组时，'-' 表示数组末尾之后的位置，即追加一个元素，
+     *   比如 '/tags/-'；数字索引只能指向已存在的元素，超出数组的范围时抛出
+     *   RangeError 异常（而不是产生有空位的数组）。
+     * - 方法直接修改源对象。
+     *
+     * @param {*} sourceObject
+     * @param {*} pointer JSON Pointer 字符串
+     * @param {*} value
+     */
+    static setPropertyValueByJsonPointer(sourceObject, pointer, value) {
+        let segments = ObjectAccessor._jsonPointerToSegments(sourceObject, pointer, true);
+        ObjectAccessor._setBySegments(sourceObject, segments, value);
+    }
+
+    /**
+     * 判断对象是否存在指定 JSON Pointer（RFC 6901）的属性。
+     *
+     * @param {*} sourceObject
+     * @param {*} pointer JSON Pointer 字符串
+     * @returns
+     */
+    static hasPropertyByJsonPointer(sourceObject, pointer) {
+        let segments = ObjectAccessor._jsonPointerToSegments(sourceObject, pointer);
+        if (segments.length === 0) {
+            // 空字符串 '' 表示对象本身
+            return sourceObject !== undefined;
+        }
+        return ObjectAccessor._hasBySegments(sourceObject, segments);
+    }
+
+    /**
+     * 删除对象指定 JSON Pointer（RFC 6901）的属性。
+     *
+     * 当删除数组元素时，元素会从数组中移除，即后面的元素会往前移动。
+     *
+     * @param {*} sourceObject
+     * @param {*} pointer JSON Pointer 字符串
+     * @returns 如果属性存在并被删除则返回 true，否则返回 false。
+     */
+    static deletePropertyByJsonPointer(sourceObject, pointer) {
+        let segments = ObjectAccessor._jsonPointerToSegments(sourceObject, pointer);
+        return ObjectAccessor._deleteBySegments(sourceObject, segments);
+    }
+
+    /**
+     * 分割 JSON Pointer（RFC 6901）为属性名称数组。
+     *
+     * - JSON Pointer 必须为空字符串（表示对象本身），或者以斜杠（/）开始，比如
+     *   '/addr/0/city' 将会被分割为 ['addr', '0', 'city']。
+     * - 属性名称当中的 '~' 和 '/' 分别使用 '~0' 和 '~1' 表示，比如 '/a~1b/m~0n'
+     *   将会被分割为 ['a/b', 'm~n']。
+     * - 因为 JSON Pointer 无法区分数组索引和名称为数字的属性，所以分割的结果
+     *   全部为属性名称（String）。
+     *
+     * 如果 JSON Pointer 的语法不正确，则抛出 ExpressionSyntaxError 异常。
+     *
+     * @param {*} pointer JSON Pointer 字符串
+     * @returns 返回属性名称数组
+     */
+    static splitJsonPointer(pointer) {
+        if (pointer === '') {
+            return [];
+        }
+
+        if (pointer[0] !== '/') {
+            throw new ExpressionSyntaxError(pointer, 0, '"/"');
+        }
+
+        let names = [];
+        let nameBuffer = [];
+
+        for (let idx = 1; idx < pointer.length; idx++) {
+            let c = pointer[idx];
+
+            if (c === '/') {
+                names.push(nameBuffer.join(''));
+                nameBuffer = [];
+
+            } else if (c === '~') {
+                let n = pointer[idx + 1];
+                if (n === '0') {
+                    nameBuffer.push('~');
+                } else if (n === '1') {
+                    nameBuffer.push('/');
+                } else {
+                    throw new ExpressionSyntaxError(pointer, idx + 1, '"0" or "1"');
+                }
+                idx += 1;
+
+            } else {
+                nameBuffer.push(c);
+            }
+        }
+
+        names.push(nameBuffer.join(''));
+        return names;
+    }
+
+    /**
+     * 拼接属性名称数组为 JSON Pointer（RFC 6901），即 splitJsonPointer 方法的逆操作。
+     *
+     * 属性名称数组可以包含数组索引（Number），比如 getPropertyValuesByNamePath 方法
+     * 返回的具体名称路径 ['items', 0, 'name'] 将会被拼接为 '/items/0/name'，但
+     * 数组索引不能为负数。
+     *
+     * @param {*} names 属性名称数组，数组元素为属性名称（String）或者数组索引（Number）
+     * @returns 返回 JSON Pointer 字符串
+     */
+    static joinJsonPointer(names) {
+        return names.map(name => {
+            if (typeof name === 'number') {
+                if (name < 0) {
+                    throw new RangeError('Negative array index "' + name + '" can not be converted to JSON Pointer.');
+                }
+                return '/' + name;
+            }
+
+            return '/' + name.replace(/~/g, '~0').replace(/\//g, '~1');
+        }).join('');
+    }
+
+    /**
+     * 以不可变（immutable）的方式设置对象指定名称路径的属性值。
+     *
+     * - 方法不会修改源对象，而是返回一个新的对象。
+     * - 只有名称路径上的对象（或数组）会被复制（浅复制），其余没有改变的子对象
+     *   均跟源对象共享（即引用相同），所以可以通过比较引用（===）来判断
+     *   某个子对象是否发生了变化。
+     * - 如果新值跟原值相同（===），则直接返回源对象。
+     * - 中间对象不存在时的处理方法跟 setPropertyValueByNamePath 方法的相同。
+     * - 名称路径不能含有通配符。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @param {*} value
+     * @returns 返回新的对象
+     */
+    static setIn(sourceObject, namePath, value) {
+        return ObjectAccessor.updateIn(sourceObject, namePath, () => {
+            return value;
+        });
+    }
+
+    /**
+     * 以不可变（immutable）的方式更新对象指定名称路径的属性值。
+     *
+     * 跟 setIn 方法类似，只是新值由更新方法根据原值计算得到。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @param {*} updater 更新方法，方法签名为：
+     *     updater(oldValue){ return newValue;}
+     *     当属性不存在时，oldValue 为 undefined。
+     * @returns 返回新的对象
+     */
+    static updateIn(sourceObject, namePath, updater) {
+        let segments = ObjectAccessor._compileImmutableSegments(namePath);
+        return ObjectAccessor._updateInRecursively(sourceObject, segments, 0, updater);
+    }
+
+    /**
+     * 以不可变（immutable）的方式删除对象指定名称路径的属性。
+     *
+     * - 结构共享的规则跟 setIn 方法的相同。
+     * - 当删除数组元素时，元素会从（复制的）数组中移除。
+     * - 如果属性不存在，则直接返回源对象。
+     *
+     * @param {*} sourceObject
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @returns 返回新的对象
+     */
+    static removeIn(sourceObject, namePath) {
+        let segments = ObjectAccessor._compileImmutableSegments(namePath);
+        if (segments.length === 0) {
+            return sourceObject;
+        }
+        return ObjectAccessor._removeInRecursively(sourceObject, segments, 0);
+    }
+
+    /**
+     * 跟踪对象的修改
+     *
+     * 返回源对象的一个代理（Proxy），通过代理对对象（包括其子对象）所作的
+     * 每一个设置和删除操作都会被记录下来，记录的 key 为被修改属性的名称路径。
+     *
+     * - 名称路径的格式跟 joinNamePath 方法的相同，对于普通的属性名称，它跟
+     *   ObjectUtils.objectMerge 方法的 keyValueModifyFuncs 所使用的格式一致，
+     *   比如 'addr.city'，数组元素则使用方括号索引表示，比如 'items[0].name'。
+     * - 设置的值跟原值相同（===）时不会被记录。
+     * - 修改直接作用于源对象。
+     * - 只有纯数据对象（plain object）和数组会被代理，Date、Map、Set 等内置对象
+     *   以及类的实例直接返回原值，对它们内部的修改不会被记录。
+     * - 数组的元素被移动之后（比如 shift, splice, sort），需要重新通过代理获取
+     *   元素，之前获取的元素的代理仍然使用原来的名称路径。
+     *
+     * 代理对象（即根对象的代理）额外提供以下方法（如果源对象自身有同名的属性，
+     * 则这些方法会被该属性覆盖）：
+     *
+     * - getChanges() 返回修改记录数组，[{namePath, type, value}, ...]，其中 type
+     *   的值为 'set' 或者 'delete'，同一个名称路径只保留最后一次修改；
+     * - isDirty(namePath) 判断指定名称路径的属性是否被修改过，当其子属性被
+     *   修改，或者其所在的父对象被整个替换时，也视为被修改过。如果不指定
+     *   名称路径，则判断整个对象是否被修改过；
+     * - reset() 清除修改记录（不会撤销修改）。
+     *
+     * @param {*} sourceObject
+     * @returns 返回代理对象
+     */
+    static track(sourceObject) {
+        // namePath -> {namePath, names, type, value}
+        let changes = new Map();
+
+        // 代理对象与目标对象的映射
+        let targets = new WeakMap();
+
+        let recordChange = (names, type, value) => {
+            let namePath = ObjectAccessor.joinNamePath(names);
+            changes.delete(namePath);
+            changes.set(namePath, { namePath: namePath, names: names, type: type, value: value });
+        };
+
+        let toName = (target, property) => {
+            // 数组的索引属性转换为 Number
+            return (Array.isArray(target) && /^(0|[1-9]\d*)$/.test(property)) ?
+                Number(property) : property;
+        };
+
+        let methods = {
+            getChanges: () => {
+                return Array.from(changes.values()).map(({ namePath, type, value }) => {
+                    return { namePath, type, value };
+                });
+            },
+            isDirty: (namePath) => {
+                if (namePath === undefined) {
+                    return changes.size > 0;
+                }
+
+                let names = ObjectAccessor.splitNamePath(namePath);
+                for (let change of changes.values()) {
+                    // 比较两个名称路径的公共部分，即其中一个是另一个的前缀
+                    let length = Math.min(names.length, change.names.length);
+                    let isPrefix = true;
+                    for (let idx = 0; idx < length; idx++) {
+                        if (String(names[idx]) !== String(change.names[idx])) {
+                            isPrefix = false;
+                            break;
+                        }
+                    }
+                    if (isPrefix) {
+                        return true;
+                    }
+                }
+                return false;
+            },
+            reset: () => {
+                changes.clear();
+            }
+        };
+
+        let createProxy = (target, parentNames) => {
+            // 子属性名称与子对象的代理对象的映射，以保证同一个子对象的代理对象是同一个。
+            // 名称路径在创建代理时确定，所以缓存只对同一个属性的同一个子对象有效，
+            // 当数组被修改时（元素可能被移动）清除整个缓存。
+            let childProxies = new Map();
+
+            let dropChildProxies = (target, property) => {
+                if (Array.isArray(target)) {
+                    childProxies.clear();
+                } else {
+                    childProxies.delete(property);
+                }
+            };
+
+            let proxy = new Proxy(target, {
+                get(target, property, receiver) {
+                    if (parentNames.length === 0 &&
+                        typeof property === 'string' &&
+                        Object.keys(methods).includes(property) &&
+                        !propertyIsEnumerable.call(target, property)) {
+                        return methods[property];
+                    }
+
+                    let value = Reflect.get(target, property, receiver);
+                    if (typeof property === 'symbol' ||
+                        !ObjectAccessor._isTrackable(value) ||
+                        !propertyIsEnumerable.call(target, property)) {
+                        return value;
+                    }
+
+                    let cached = childProxies.get(property);
+                    if (cached !== undefined && cached.target === value) {
+                        return cached.proxy;
+                    }
+
+                    let childProxy = createProxy(value, parentNames.concat(toName(target, property)));
+                    childProxies.set(property, { target: value, proxy: childProxy });
+                    return childProxy;
+                },
+
+                set(target, property, value, receiver) {
+                    if (targets.has(value)) {
+                        // 值是一个代理对象，储存其目标对象
+                        value = targets.get(value);
+                    }
+
+                    let exists = propertyIsEnumerable.call(target, property);
+                    let oldValue = target[property];
+
+                    if (!Reflect.set(target, property, value, receiver)) {
+                        return false;
+                    }
+
+                    dropChildProxies(target, property);
+
+                    if (typeof property === 'string' &&
+                        !(Array.isArray(target) && property === 'length') &&
+                        !(exists && oldValue === value)) {
+                        recordChange(parentNames.concat(toName(target, property)), 'set', value);
+                    }
+                    return true;
+                },
+
+                deleteProperty(target, property) {
+                    let exists = propertyIsEnumerable.call(target, property);
+
+                    if (!Reflect.deleteProperty(target, property)) {
+                        return false;
+                    }
+
+                    dropChildProxies(target, property);
+
+                    if (exists && typeof property === 'string') {
+                        recordChange(parentNames.concat(toName(target, property)), 'delete', undefined);
+                    }
+                    return true;
+                }
+            });
+
+            targets.set(proxy, target);
+            return proxy;
+        };
+
+        return createProxy(sourceObject, []);
+    }
+
+    /**
+     * 列出对象所有叶子属性的名称路径
+     *
+     * 叶子属性是指值不是对象（或数组）的属性，比如字符串、数字、Boolean、Date、
+     * null、undefined 等，值为空对象 “{}” 或者空数组 “[]” 的属性也视为叶子属性。
+     *
+     * 名称路径的格式跟 flattenObject 方法的相同。
+     *
+     * @param {*} sourceObject
+     * @returns 返回名称路径字符串数组
+     */
+    static listNamePaths(sourceObject) {
+        return Object.keys(ObjectAccessor.flattenObject(sourceObject));
+    }
+
+    /**
+     * 展平对象
+     *
+     * 即把多层结构的对象转换为只有一层的对象，新对象的 key 为原对象的叶子属性的
+     * 名称路径（name path），value 为叶子属性的值，比如：
+     * {a: {b: 1}, c: [2, {d: 3}]}
+     *
+     * 将被展平为：
+     * {'a.b': 1, 'c[0]': 2, 'c[1].d': 3}
+     *
+     * - 名称路径的引号规则跟 joinNamePath 方法的相同，即只有当属性名称含有特殊
+     *   字符时才会使用引号包括起来，所以展平对象的 key 可以直接用于
+     *   getPropertyValueByNamePath 等方法。
+     * - 数组元素使用方括号索引表示，比如 'c[1].d'。注意这跟 ObjectUtils.objectMerge
+     *   方法的 keyValueModifyFuncs 所使用的名称路径不同，后者使用 '.[]' 表示任意一个
+     *   数组元素，比如 'c.[].d'，所以不能只去掉索引的数字（结果为 'c[].d'）来转换。
+     * - 值为空对象 “{}” 或者空数组 “[]” 的属性会被保留，以便 unflattenObject
+     *   能还原原对象。
+     * - 值为 function 的属性会被忽略。
+     *
+     * @param {*} sourceObject
+     * @returns 返回展平的对象
+     */
+    static flattenObject(sourceObject) {
+        let targetObject = {};
+        ObjectAccessor._flattenRecursively(sourceObject, [], targetObject);
+        return targetObject;
+    }
+
+    /**
+     * 还原展平的对象，即 flattenObject 方法的逆操作。
+     *
+     * 如果展平对象的第一个 key 以数组索引开始（比如 '[0].name'），则还原的结果
+     * 为数组，否则为对象。
+     *
+     * @param {*} flattenedObject
+     * @returns 返回还原的多层结构的对象
+     */
+    static unflattenObject(flattenedObject) {
+        let namePaths = Object.keys(flattenedObject);
+
+        let isArrayRoot = namePaths.length > 0 &&
+            ObjectAccessor.compile(namePaths[0]).segments[0].type === 'index';
+
+        let targetObject = isArrayRoot ? [] : {};
+
+        for (let namePath of namePaths) {
+            ObjectAccessor.compile(namePath).set(targetObject, flattenedObject[namePath]);
+        }
+
+        return targetObject;
+    }
+
+    /**
+     * 编译名称路径为一个可重复使用的访问器对象。
+     *
+     * 访问器对象预先解析了名称路径，当需要对大量对象访问同一个名称路径时（比如
+     * 排序），使用访问器能避免重复解析名称路径。编译的结果会被缓存（LRU），
+     * 所以对同一个名称路径重复调用此方法的开销很小。
+     *
+     * 访问器对象的结构如下：
+     * {
+     *   namePath: String,
+     *   segments: [segment, ...], 名称片段对象数组，详细见 parseNamePath 方法的说明
+     *   hasWildcard: Boolean, 名称路径是否含有通配符（或者通配模式），即是否可能有多个匹配项
+     *   get: function(sourceObject) {...}, 同 getPropertyValueByNamePath
+     *   getAll: function(sourceObject) {...}, 同 getPropertyValuesByNamePath
+     *   set: function(sourceObject, value) {...}, 同 setPropertyValueByNamePath
+     *   has: function(sourceObject) {...}, 同 hasPropertyByNamePath
+     *   delete: function(sourceObject) {...}, 同 deletePropertyByNamePath
+     * }
+     *
+     * 注意访问器对象是共享的（被缓存），调用者不应该修改它的属性。
+     *
+     * @param {*} namePath 名称路径，详细见 splitNamePath 方法的说明。
+     * @param {*} allowPattern 是否解析通配模式（比如 'meta_*'），默认为 false，
+     *     详细见 parseNamePath 方法的说明。
+     * @returns 返回访问器对象
+     */
+    static compile(namePath, allowPattern = false) {
+        let cache = allowPattern ? patternCompiledCache : compiledCache;
+        let accessor = cache.get(namePath);
+        if (accessor === undefined) {
+            accessor = ObjectAccessor._compileSegments(
+                namePath, ObjectAccessor.parseNamePath(namePath, false, allowPattern));
+            cache.set(namePath, accessor);
+        }
+        return accessor;
+    }
+
+    /**
+     * 清除已编译的名称路径访问器的缓存。
+     */
+    static clearCompiledCache() {
+        compiledCache.clear();
+        patternCompiledCache.clear();
+    }
+
     /**
      * 分割名称路径
      *
@@ -42,15 +615,91 @@ class ObjectAccessor {
      * - 当属性名含有单引号时
      *   + 如果属性使用单引号包括起来，则使用两个（连续的）单引号表示一个单引号，比如 'it''s number' 表示 it's number
      *   + 如果属性使用双引号包括起来，则直接书写单引号即可，比如 "it's number"
-     * - 当属性名含有空格以及其他特殊符号时，建议使用单引号或双引号包括起来，比如 'foo# hello, bar!', "foo# hello, bar!"
+     * - 当属性名含有空格、方括号以及其他特殊符号时，建议使用单引号或双引号包括起来，比如 'foo# hello, bar!', "foo# hello, bar!"
+     *
+     * 名称路径还支持数组索引和通配符：
+     *
+     * - 数组索引使用方括号表示，比如 'items[0].name'，索引可以是负数，表示从数组
+     *   末尾开始计算，比如 'items[-1]' 表示数组的最后一个元素。
+     *   上面的名称路径将会被分割为：['items', 0, 'name']，即数组索引会被分割为 Number。
+     * - 没有被引号包括的 '*' 表示匹配任意一个属性（或者数组元素），'**' 表示匹配零层
+     *   或者多层任意属性。如果需要区分通配符和名称为 '*' 的属性，请使用 parseNamePath 方法。
+     * - 其他含有 '*' 的属性名称（比如 'a*b'）为普通的属性名称。
+     *
+     * 默认情况下遇到语法错误时（比如 'foo'bar.baz），方法返回出错位置之前已解析的
+     * 属性名称，未结束的引号也会被忽略。在严格模式下则会抛出 ExpressionSyntaxError 异常。
      *
      * @param {*} namePath
+     * @param {*} strict 是否使用严格模式，默认为 false
      * @returns 返回属性名称数组
      */
-    static splitNamePath(namePath) {
-        let names = [];
+    static splitNamePath(namePath, strict = false) {
+        return ObjectAccessor.parseNamePath(namePath, strict).map(segment => {
+            switch (segment.type) {
+                case 'index':
+                    return segment.index;
+                case 'wildcard':
+                    return '*';
+                case 'recursive-wildcard':
+                    return '**';
+                default:
+                    return segment.name;
+            }
+        });
+    }
+
+    /**
+     * 解析名称路径为一组名称片段（segment）对象。
+     *
+     * 语法跟 splitNamePath 方法相同，但返回的结果能够区分通配符和名称为 '*' 的属性。
+     *
+     * 名称片段对象有如下几种：
+     * - {type: 'property', name: String} 属性名称
+     * - {type: 'index', index: Number} 数组索引
+     * - {type: 'wildcard'} 通配符 '*'
+     * - {type: 'wildcard', pattern: String, isMatch: Function} 通配模式，比如 'meta_*'，
+     *   isMatch 为预先编译的判断函数 (key) => Boolean
+     * - {type: 'recursive-wildcard'} 通配符 '**'
+     *
+     * 通配模式只有在 allowPattern 为 true 时才会被解析，即没有被引号包括的、含有 '*'
+     * 的属性名称（'*' 和 '**' 除外），比如 'meta_*' 匹配所有以 'meta_' 开始的属性，
+     * '*Time' 匹配所有以 'Time' 结尾的属性。否则这些名称为普通的属性名称。
+     *
+     * @param {*} namePath
+     * @param {*} strict 是否使用严格模式，默认为 false，详细见 splitNamePath 方法的说明。
+     * @param {*} allowPattern 是否解析通配模式，默认为 false
+     * @returns 返回名称片段对象数组
+     */
+    static parseNamePath(namePath, strict = false, allowPattern = false) {
+        let segments = [];
         let nameBuffer = [];
         let state = 'expect-name-start';
+        let indexStartPosition = 0;
+
+        let appendName = (name) => {
+            segments.push({ type: 'property', name: name });
+        };
+
+        let syntaxError = (position, expected) => {
+            return new ExpressionSyntaxError(namePath, position, expected);
+        };
+
+        let appendUnquotedName = (name) => {
+            // 没有被引号包括的 '*' 和 '**' 为通配符
+            if (name === '*') {
+                segments.push({ type: 'wildcard' });
+            } else if (name === '**') {
+                segments.push({ type: 'recursive-wildcard' });
+            } else if (allowPattern && name.includes('*')) {
+                segments.push({
+                    type: 'wildcard',
+                    pattern: name,
+                    isMatch: ValueUtils.compileWildcardPattern(name, '*')
+                });
+            } else {
+                appendName(name);
+            }
+        };
 
         for(let idx=0; idx<namePath.length; idx++) {
             let c = namePath[idx];
@@ -67,6 +716,11 @@ class ObjectAccessor {
                         }else if (c === '\'') {
                             // nameBuffer = [];
                             state = 'expect-single-quote-end';
+                        }else if (c === '[') {
+                            indexStartPosition = idx;
+                            state = 'expect-index-end';
+                        }else if (strict && '.]'.includes(c)) {
+                            throw syntaxError(idx, 'name');
                         }else {
                             // nameBuffer = [];
                             nameBuffer.push(c);
@@ -79,7 +733,7 @@ class ObjectAccessor {
                     {
                         if (c === '"') {
                             let name = nameBuffer.join('');
-                            names.push(name);
+                            appendName(name);
                             nameBuffer = [];
                             state = 'expect-dot';
                         }else {
@@ -99,7 +753,7 @@ class ObjectAccessor {
                             }else {
                                 // 当前是结束单引号
                                 let name = nameBuffer.join('');
-                                names.push(name);
+                                appendName(name);
                                 nameBuffer = [];
                                 state = 'expect-dot';
                             }
@@ -114,9 +768,39 @@ class ObjectAccessor {
                         if (c==='.') {
                             let name = nameBuffer.join('');
                             //names.push(name.trim());
-                            names.push(name);
+                            appendUnquotedName(name);
                             nameBuffer = [];
                             state = 'expect-name-start';
+                        }else if (c === '[') {
+                            // 属性名称之后紧接着数组索引，比如 'items[0]'
+                            let name = nameBuffer.join('');
+                            appendUnquotedName(name);
+                            nameBuffer = [];
+                            indexStartPosition = idx;
+                            state = 'expect-index-end';
+                        }else if (strict && '\'"]'.includes(c)) {
+                            // 没有被引号包括的属性名称不能含有引号和方括号
+                            throw syntaxError(idx, '"." or "["');
+                        }else {
+                            nameBuffer.push(c);
+                        }
+                        break;
+                    }
+
+                case 'expect-index-end':
+                    {
+                        if (c === ']') {
+                            let indexString = nameBuffer.join('');
+                            if (!/^-?\d+$/.test(indexString)) {
+                                // 语法错误
+                                if (strict) {
+                                    throw syntaxError(indexStartPosition + 1, 'integer');
+                                }
+                                return segments;
+                            }
+                            segments.push({ type: 'index', index: Number(indexString) });
+                            nameBuffer = [];
+                            state = 'expect-dot';
                         }else {
                             nameBuffer.push(c);
                         }
@@ -127,13 +811,20 @@ class ObjectAccessor {
                 {
                     if (c==='.') {
                         state = 'expect-name-start';
+                    }else if (c === '[') {
+                        // 连续的数组索引，比如 'matrix[0][1]'
+                        indexStartPosition = idx;
+                        state = 'expect-index-end';
                     }
                     // else if (c === ' ') {
                     //     continue;
                     // }
                     else {
                         // 语法错误
-                        return names;
+                        if (strict) {
+                            throw syntaxError(idx, '"." or "["');
+                        }
+                        return segments;
                     }
                     break;
                 }
@@ -142,11 +833,620 @@ class ObjectAccessor {
 
         if (state === 'expect-name-end' && nameBuffer.length > 0) {
             let name = nameBuffer.join('');
-            names.push(name);
+            appendUnquotedName(name);
         }
 
-        return names;
+        if (strict) {
+            switch (state) {
+                case 'expect-name-start':
+                    // 空的名称路径，或者名称路径以点号结尾
+                    throw syntaxError(namePath.length, 'name');
+                case 'expect-double-quote-end':
+                    throw syntaxError(namePath.length, '\'"\'');
+                case 'expect-single-quote-end':
+                    throw syntaxError(namePath.length, '"\'"');
+                case 'expect-index-end':
+                    throw syntaxError(namePath.length, '"]"');
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * 拼接属性名称数组为名称路径，即 splitNamePath 方法的逆操作。
+     *
+     * - 只有当属性名称含有特殊字符（比如点号、引号、方括号、逗号、星号、空白字符等），
+     *   或者为空字符串时，才会使用单引号包括起来，
+     *   名称当中的单引号使用两个连续的单引号表示。
+     * - 数组索引（Number）会被格式化为方括号形式，比如 ['items', 0, 'name']
+     *   会被拼接为 'items[0].name'。
+     *
+     * 比如 ['foo', 'a.b', "it's"] 将会被拼接为 "foo.'a.b'.'it''s'"，
+     * 对拼接的结果使用 splitNamePath 方法分割，能得到原来的属性名称数组。
+     *
+     * @param {*} names 属性名称数组，数组元素为属性名称（String）或者数组索引（Number）
+     * @returns 返回名称路径字符串
+     */
+    static joinNamePath(names) {
+        return ObjectAccessor.formatNamePath(names.map(name => {
+            return (typeof name === 'number') ?
+                { type: 'index', index: name } :
+                { type: 'property', name: name };
+        }));
+    }
+
+    /**
+     * 格式化名称片段对象数组为名称路径，即 parseNamePath 方法的逆操作。
+     *
+     * 名称片段对象的结构见 parseNamePath 方法的说明，属性名称的引号规则
+     * 见 joinNamePath 方法的说明。
+     *
+     * @param {*} segments 名称片段对象数组
+     * @returns 返回名称路径字符串
+     */
+    static formatNamePath(segments) {
+        let buffer = [];
+
+        for (let segment of segments) {
+            if (segment.type === 'index') {
+                buffer.push('[' + segment.index + ']');
+                continue;
+            }
+
+            if (buffer.length > 0) {
+                buffer.push('.');
+            }
+
+            switch (segment.type) {
+                case 'wildcard':
+                    buffer.push(segment.pattern === undefined ? '*' : segment.pattern);
+                    break;
+                case 'recursive-wildcard':
+                    buffer.push('**');
+                    break;
+                default:
+                    buffer.push(ObjectAccessor._quoteName(segment.name));
+            }
+        }
+
+        return buffer.join('');
+    }
+
+    /**
+     * 列出对象当中匹配指定名称片段的子属性名称（或者数组索引）
+     *
+     * - 属性名称：如果对象拥有该自有的可枚举属性，则返回 [name]；
+     * - 数组索引：负数索引会被转换为实际的索引，如果索引在数组的范围之内，则返回 [index]；
+     * - 通配符 '*'（或者通配模式）：返回所有（匹配通配模式的）子属性名称或者数组索引；
+     * - 通配符 '**'：返回所有子属性名称或者数组索引，即只列出一层。
+     *
+     * 供 ObjectPathQuery 等基于名称路径语法的模块使用。
+     *
+     * @param {*} value
+     * @param {*} segment 名称片段对象，详细见 parseNamePath 方法的说明。
+     * @returns 返回属性名称（String）或者数组索引（Number）的数组，如果 value
+     *     不是对象（或数组）则返回空数组。
+     */
+    static listSegmentKeys(value, segment) {
+        switch (segment.type) {
+            case 'property':
+                return ObjectAccessor._hasChild(value, segment) ? [segment.name] : [];
+
+            case 'index':
+                return ObjectAccessor._hasChild(value, segment) ?
+                    [ObjectAccessor._resolveIndex(value, segment.index)] : [];
+
+            case 'wildcard':
+                return ObjectAccessor._isContainer(value) ?
+                    ObjectAccessor._listMatchedChildKeys(value, segment) : [];
+
+            case 'recursive-wildcard':
+                return ObjectAccessor._isContainer(value) ?
+                    ObjectAccessor._listChildKeys(value) : [];
+        }
+
+        return [];
+    }
+
+    /**
+     * 检查名称路径的语法是否正确。
+     *
+     * 供 UI 等在保存用户输入的名称路径之前检查使用。
+     *
+     * @param {*} namePath
+     * @returns 返回 {valid: Boolean, error: ExpressionSyntaxError}，当语法正确时
+     *     error 的值为 undefined。
+     */
+    static validateNamePath(namePath) {
+        try {
+            ObjectAccessor.parseNamePath(namePath, true);
+            return { valid: true, error: undefined };
+        } catch (e) {
+            if (e instanceof ExpressionSyntaxError) {
+                return { valid: false, error: e };
+            }
+            throw e;
+        }
+    }
+
+    // PRIVATE
+    static _compileSegments(namePath, segments) {
+        let get;
+
+        if (ObjectAccessor._hasWildcard(segments)) {
+            get = (sourceObject) => {
+                let matches = ObjectAccessor._collectMatches(sourceObject, segments);
+                return matches.length > 0 ? matches[0].value : undefined;
+            };
+
+        } else if (segments.every(segment => segment.type === 'property')) {
+            // 最常见的情况：名称路径只由属性名称组成，比如 'meta.owner.name'
+            let names = segments.map(segment => segment.name);
+            let length = names.length;
+
+            get = (sourceObject) => {
+                let value = sourceObject;
+                for (let idx = 0; idx < length; idx++) {
+                    let name = names[idx];
+                    if (!ObjectAccessor._isContainer(value) ||
+                        !propertyIsEnumerable.call(value, name)) {
+                        return undefined;
+                    }
+                    value = value[name];
+                }
+                return value;
+            };
+
+        } else {
+            get = (sourceObject) => {
+                let value = sourceObject;
+                for (let segment of segments) {
+                    if (value === undefined) {
+                        break;
+                    }
+                    value = ObjectAccessor._getChildValue(value, segment);
+                }
+                return value;
+            };
+        }
+
+        return {
+            namePath: namePath,
+            segments: segments,
+            hasWildcard: ObjectAccessor._hasWildcard(segments),
+            get: get,
+            getAll: (sourceObject) => {
+                return ObjectAccessor._collectMatches(sourceObject, segments);
+            },
+            set: (sourceObject, value) => {
+                ObjectAccessor._setBySegments(sourceObject, segments, value);
+            },
+            has: (sourceObject) => {
+                return ObjectAccessor._hasBySegments(sourceObject, segments);
+            },
+            delete: (sourceObject) => {
+                return ObjectAccessor._deleteBySegments(sourceObject, segments);
+            }
+        };
+    }
+
+    // PRIVATE
+    static _setBySegments(sourceObject, segments, value) {
+        if (segments.length === 0) {
+            return;
+        }
+
+        let lastSegment = segments[segments.length - 1];
+        let parentSegments = segments.slice(0, -1);
+
+        if (ObjectAccessor._hasWildcard(parentSegments) ||
+            ObjectAccessor._hasWildcard([lastSegment])) {
+            let matches = ObjectAccessor._collectMatches(sourceObject, parentSegments);
+            for (let { value: parentObject } of matches) {
+                if (!ObjectAccessor._isContainer(parentObject)) {
+                    continue;
+                }
+
+                if (lastSegment.type === 'property' || lastSegment.type === 'index') {
+                    ObjectAccessor._setChildValue(parentObject, lastSegment, value);
+                } else {
+                    // 最后一个名称是通配符，设置所有已存在的（且匹配通配模式的）属性（或元素）
+                    for (let key of ObjectAccessor._listMatchedChildKeys(parentObject, lastSegment)) {
+                        parentObject[key] = value;
+                    }
+                }
+            }
+            return;
+        }
+
+        let parentObject = sourceObject;
+
+        for (let idx = 0; idx < parentSegments.length; idx++) {
+            let segment = parentSegments[idx];
+            let childObject = ObjectAccessor._getChildValue(parentObject, segment);
+            if (!ObjectAccessor._isContainer(childObject)) {
+                // 中间对象不存在，或者不是对象，创建一个新的空对象（或空数组）
+                let nextSegment = segments[idx + 1];
+                childObject = nextSegment.type === 'index' ? [] : {};
+                if (!ObjectAccessor._setChildValue(parentObject, segment, childObject)) {
+                    // 索引超出数组的范围
+                    return;
+                }
+            }
+            parentObject = childObject;
+        }
+
+        ObjectAccessor._setChildValue(parentObject, lastSegment, value);
+    }
+
+    // PRIVATE
+    static _hasBySegments(sourceObject, segments) {
+        if (segments.length === 0) {
+            return false;
+        }
+
+        if (ObjectAccessor._hasWildcard(segments)) {
+            return ObjectAccessor._collectMatches(sourceObject, segments).length > 0;
+        }
+
+        let value = sourceObject;
+        for (let segment of segments) {
+            if (!ObjectAccessor._hasChild(value, segment)) {
+                return false;
+            }
+            value = ObjectAccessor._getChildValue(value, segment);
+        }
+
+        return true;
+    }
+
+    // PRIVATE
+    static _deleteBySegments(sourceObject, segments) {
+        if (segments.length === 0) {
+            return false;
+        }
+
+        let matches = ObjectAccessor._collectMatches(sourceObject, segments);
+        if (matches.length === 0) {
+            return false;
+        }
+
+        // 从后往前删除，以防止删除数组元素之后，其余匹配项的索引发生变化
+        for (let idx = matches.length - 1; idx >= 0; idx--) {
+            let names = matches[idx].names;
+            if (names.length === 0) {
+                continue;
+            }
+
+            let parentObject = sourceObject;
+            for (let nameIdx = 0; nameIdx < names.length - 1; nameIdx++) {
+                parentObject = parentObject[names[nameIdx]];
+            }
+
+            let lastName = names[names.length - 1];
+            if (Array.isArray(parentObject) && typeof lastName === 'number') {
+                parentObject.splice(lastName, 1);
+            } else {
+                delete parentObject[lastName];
+            }
+        }
+
+        return true;
+    }
+
+    // PRIVATE
+    static _jsonPointerToSegments(sourceObject, pointer, isWriting = false) {
+        // JSON Pointer 无法区分数组索引和名称为数字的属性，所以需要根据
+        // 对象实际的值来决定名称片段的类型。
+        let names = ObjectAccessor.splitJsonPointer(pointer);
+        let segments = [];
+        let value = sourceObject;
+
+        for (let name of names) {
+            if (Array.isArray(value) && /^(0|[1-9]\d*)$/.test(name)) {
+                if (isWriting && Number(name) >= value.length) {
+                    // RFC 6901 只允许使用 '-' 表示数组末尾之后的位置
+                    throw new RangeError('Array index "' + name + '" is out of range in JSON Pointer "' +
+                        pointer + '", use "-" to append an element.');
+                }
+
+                let segment = { type: 'index', index: Number(name) };
+                segments.push(segment);
+                value = ObjectAccessor._getChildValue(value, segment);
+
+            } else if (Array.isArray(value) && name === '-') {
+                // '-' 表示数组末尾之后的位置
+                segments.push({ type: 'index', index: value.length });
+                value = undefined;
+
+            } else {
+                let segment = { type: 'property', name: name };
+                segments.push(segment);
+                value = ObjectAccessor._getChildValue(value, segment);
+            }
+        }
+
+        return segments;
+    }
+
+    // PRIVATE
+    static _compileImmutableSegments(namePath) {
+        let segments = ObjectAccessor.compile(namePath).segments;
+        if (ObjectAccessor._hasWildcard(segments)) {
+            throw new TypeError('Wildcard is not supported in name path "' + namePath + '".');
+        }
+        return segments;
+    }
+
+    // PRIVATE
+    static _shallowCopy(value) {
+        // 不使用 Object.assign，因为它复制名称为 '__proto__' 的自有属性时会修改新对象的原型
+        return Array.isArray(value) ? value.slice() : { ...value };
+    }
+
+    // PRIVATE
+    static _updateInRecursively(value, segments, segmentIdx, updater) {
+        if (segmentIdx === segments.length) {
+            return updater(value);
+        }
+
+        let segment = segments[segmentIdx];
+
+        // 中间对象不存在，或者类型不符合，则创建一个新的空对象（或空数组）
+        let isValidContainer = segment.type === 'index' ?
+            Array.isArray(value) : ObjectAccessor._isContainer(value);
+        let container = isValidContainer ? value :
+            (segment.type === 'index' ? [] : {});
+
+        let exists = ObjectAccessor._hasChild(container, segment);
+        let oldChildValue = ObjectAccessor._getChildValue(container, segment);
+        let newChildValue = ObjectAccessor._updateInRecursively(
+            oldChildValue, segments, segmentIdx + 1, updater);
+
+        if (container === value && exists && newChildValue === oldChildValue) {
+            // 没有发生变化，共享原对象
+            return value;
+        }
+
+        let targetValue = ObjectAccessor._shallowCopy(container);
+        if (!ObjectAccessor._setChildValue(targetValue, segment, newChildValue)) {
+            // 负数索引超出数组的范围
+            return value;
+        }
+
+        return targetValue;
+    }
+
+    // PRIVATE
+    static _removeInRecursively(value, segments, segmentIdx) {
+        let segment = segments[segmentIdx];
+
+        if (!ObjectAccessor._hasChild(value, segment)) {
+            return value;
+        }
+
+        let targetValue;
+
+        if (segmentIdx === segments.length - 1) {
+            targetValue = ObjectAccessor._shallowCopy(value);
+            if (segment.type === 'index') {
+                targetValue.splice(ObjectAccessor._resolveIndex(value, segment.index), 1);
+            } else {
+                delete targetValue[segment.name];
+            }
+            return targetValue;
+        }
+
+        let oldChildValue = ObjectAccessor._getChildValue(value, segment);
+        let newChildValue = ObjectAccessor._removeInRecursively(
+            oldChildValue, segments, segmentIdx + 1);
+
+        if (newChildValue === oldChildValue) {
+            return value;
+        }
+
+        targetValue = ObjectAccessor._shallowCopy(value);
+        ObjectAccessor._setChildValue(targetValue, segment, newChildValue);
+        return targetValue;
+    }
+
+    // PRIVATE
+    static _flattenRecursively(value, names, targetObject) {
+        if (typeof value === 'function') {
+            return;
+        }
+
+        let isContainer = ObjectAccessor._isContainer(value) && !(value instanceof Date);
+        let keys = isContainer ? ObjectAccessor._listChildKeys(value) : [];
+
+        if (keys.length === 0) {
+            // 叶子属性
+            if (names.length > 0) {
+                targetObject[ObjectAccessor.joinNamePath(names)] = value;
+            }
+            return;
+        }
+
+        for (let key of keys) {
+            names.push(key);
+            ObjectAccessor._flattenRecursively(value[key], names, targetObject);
+            names.pop();
+        }
+    }
+
+    // PRIVATE
+    static _quoteName(name) {
+        // 花括号虽然不是名称路径的特殊字符，但在 ObjectComposer 的属性名称序列当中有特殊含义
+        if (name === '' || /[.'"[\],{}*\s]/.test(name)) {
+            return '\'' + name.replace(/'/g, '\'\'') + '\'';
+        }
+
+        return name;
+    }
+
+    // PRIVATE
+    static _isContainer(value) {
+        // 只有对象（包括数组）才能拥有子属性
+        return value !== null && typeof value === 'object';
+    }
+
+    // PRIVATE
+    static _isTrackable(value) {
+        // 只代理纯数据对象和数组，Date、Map 等内置对象的方法需要访问其内部槽（internal slot），
+        // 无法通过代理对象调用
+        if (Array.isArray(value)) {
+            return true;
+        }
+
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+
+        let prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    // PRIVATE
+    static _hasWildcard(segments) {
+        return segments.some(segment => {
+            return segment.type === 'wildcard' || segment.type === 'recursive-wildcard';
+        });
+    }
+
+    // PRIVATE
+    static _resolveIndex(array, index) {
+        // 负数索引表示从数组末尾开始计算
+        let resolvedIndex = index < 0 ? array.length + index : index;
+        return (resolvedIndex >= 0 && resolvedIndex < array.length) ?
+            resolvedIndex : -1;
+    }
+
+    // PRIVATE
+    static _hasChild(value, segment) {
+        if (!ObjectAccessor._isContainer(value)) {
+            return false;
+        }
+
+        if (segment.type === 'index') {
+            return Array.isArray(value) &&
+                ObjectAccessor._resolveIndex(value, segment.index) >= 0;
+        }
+
+        // 相当于 Object.keys(value).includes(name)，即只检查自有的可枚举属性
+        return propertyIsEnumerable.call(value, segment.name);
+    }
+
+    // PRIVATE
+    static _getChildValue(value, segment) {
+        if (!ObjectAccessor._hasChild(value, segment)) {
+            return undefined;
+        }
+
+        if (segment.type === 'index') {
+            return value[ObjectAccessor._resolveIndex(value, segment.index)];
+        }
+
+        return value[segment.name];
+    }
+
+    // PRIVATE
+    static _setChildValue(value, segment, childValue) {
+        if (segment.type === 'index') {
+            if (!Array.isArray(value)) {
+                return false;
+            }
+
+            // 负数索引只能指向已存在的元素，正数索引可以超出数组的长度（即追加元素）
+            let resolvedIndex = segment.index < 0 ?
+                ObjectAccessor._resolveIndex(value, segment.index) : segment.index;
+            if (resolvedIndex < 0) {
+                return false;
+            }
+
+            value[resolvedIndex] = childValue;
+            return true;
+        }
+
+        if (segment.name === '__proto__') {
+            // 赋值会修改对象的原型（名称路径可能来自外部数据，比如 unflattenObject
+            // 和 JSON Pointer），所以定义为自有属性，跟 JSON.parse 的结果相同
+            Object.defineProperty(value, segment.name, {
+                value: childValue, writable: true, enumerable: true, configurable: true
+            });
+            return true;
+        }
+
+        value[segment.name] = childValue;
+        return true;
+    }
+
+    // PRIVATE
+    static _listChildKeys(value) {
+        if (Array.isArray(value)) {
+            return value.map((item, idx) => idx);
+        }
+
+        return Object.keys(value);
+    }
+
+    // PRIVATE
+    static _listMatchedChildKeys(value, segment) {
+        let keys = ObjectAccessor._listChildKeys(value);
+        if (segment.type !== 'wildcard' || segment.pattern === undefined) {
+            return keys;
+        }
+
+        return keys.filter(key => segment.isMatch(String(key)));
+    }
+
+    // PRIVATE
+    static _collectMatches(sourceObject, segments) {
+        let matches = [];
+        ObjectAccessor._collectMatchesRecursively(sourceObject, segments, 0, [], matches);
+        return matches;
+    }
+
+    // PRIVATE
+    static _collectMatchesRecursively(value, segments, segmentIdx, names, matches) {
+        if (segmentIdx === segments.length) {
+            matches.push({ names: names.slice(), value: value });
+            return;
+        }
+
+        let segment = segments[segmentIdx];
+
+        switch (segment.type) {
+            case 'property':
+            case 'index':
+            case 'wildcard':
+                {
+                    for (let key of ObjectAccessor.listSegmentKeys(value, segment)) {
+                        names.push(key);
+                        ObjectAccessor._collectMatchesRecursively(
+                            value[key], segments, segmentIdx + 1, names, matches);
+                        names.pop();
+                    }
+                    break;
+                }
+
+            case 'recursive-wildcard':
+                {
+                    // 先匹配零层，即跳过当前通配符
+                    ObjectAccessor._collectMatchesRecursively(
+                        value, segments, segmentIdx + 1, names, matches);
+
+                    // 然后匹配一层或者多层
+                    for (let key of ObjectAccessor.listSegmentKeys(value, segment)) {
+                        names.push(key);
+                        ObjectAccessor._collectMatchesRecursively(
+                            value[key], segments, segmentIdx, names, matches);
+                        names.pop();
+                    }
+                    break;
+                }
+        }
     }
 }
 
-module.exports = ObjectAccessor;
\ No newline at end of file
+module.exports = ObjectAccessor;
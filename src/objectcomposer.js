@@ -1,3 +1,13 @@
+const ExpressionSyntaxError = require('./expressionsyntaxerror');
+const LRUCache = require('./lrucache');
+const ObjectAccessor = require('./objectaccessor');
+
+// 已解析的属性名称序列的缓存的最大条目数量
+const nameSequenceCacheCapacity = 1000;
+const nameSequenceCache = new LRUCache(nameSequenceCacheCapacity);
+
+const propertyIsEnumerable = Object.prototype.propertyIsEnumerable;
+
 class ObjectComposer {
 
     /**
@@ -15,14 +25,27 @@ class ObjectComposer {
      *   + 如果属性使用双引号包括起来，则直接书写单引号即可，比如 "it's number"
      * - 当属性名含有空格以及其他特殊符号时，建议使用单引号或双引号包括起来，比如 'foo# hello. bar!', "foo# hello. bar!"
      *
+     * 默认情况下遇到语法错误时，方法返回出错位置之前已解析的属性名称，未结束的引号也会
+     * 被忽略。在严格模式下则会抛出 ExpressionSyntaxError 异常。
+     *
+     * 注：本方法只支持由属性名称构成的序列，不支持名称路径、别名、子属性名称序列以及
+     * 排除项等语法，比如 'addr { city }' 会被当作一个属性名称。
+     *
+     * @deprecated 请使用 parseProperityNameSequence 方法，其语法跟
+     *     composeByProperityNameSequence 方法的相同。
      * @param {*} nameString
+     * @param {*} strict 是否使用严格模式，默认为 false
      * @returns 返回属性名称数组
      */
-     static splitProperityNameSequence(nameString) {
+     static splitProperityNameSequence(nameString, strict = false) {
         let names = [];
         let nameBuffer = [];
         let state = 'expect-name-start';
 
+        let syntaxError = (position, expected) => {
+            return new ExpressionSyntaxError(nameString, position, expected);
+        };
+
         for(let idx=0; idx<nameString.length; idx++) {
             let c = nameString[idx];
 
@@ -37,6 +60,9 @@ class ObjectComposer {
                         }else if (c === '\'') {
                             // nameBuffer = [];
                             state = 'expect-single-quote-end';
+                        }else if (strict && c === ',') {
+                            // 空的属性名称
+                            throw syntaxError(idx, 'name');
                         }else {
                             // nameBuffer = [];
                             nameBuffer.push(c);
@@ -87,6 +113,9 @@ class ObjectComposer {
                             names.push(name);
                             nameBuffer = [];
                             state = 'expect-name-start';
+                        }else if (strict && '\'"'.includes(c)) {
+                            // 没有被引号包括的属性名称不能含有引号
+                            throw syntaxError(idx, '","');
                         }else {
                             nameBuffer.push(c);
                         }
@@ -102,6 +131,9 @@ class ObjectComposer {
                     }
                     else {
                         // 语法错误
+                        if (strict) {
+                            throw syntaxError(idx, '","');
+                        }
                         return names;
                     }
                     break;
@@ -115,47 +147,595 @@ class ObjectComposer {
             names.push(name);
         }
 
+        if (strict) {
+            switch (state) {
+                case 'expect-name-start':
+                    // 空的属性名称序列，或者序列以逗号结尾
+                    throw syntaxError(nameString.length, 'name');
+                case 'expect-double-quote-end':
+                    throw syntaxError(nameString.length, '\'"\'');
+                case 'expect-single-quote-end':
+                    throw syntaxError(nameString.length, '"\'"');
+            }
+        }
+
         return names;
     }
 
+    /**
+     * 解析属性名称序列
+     *
+     * 属性名称序列当中的每一项都是一个名称路径（name path），可以选择性地在后面
+     * 添加 'AS' 关键字和别名，比如：
+     * 'id, addr.city, profile.displayName AS name'
+     *
+     * - 名称路径的语法见 ObjectAccessor.splitNamePath 方法的说明，所以当属性名称
+     *   含有点号、方括号、逗号、空格、花括号等特殊字符时，需要使用引号包括起来；
+     * - 'AS' 关键字不区分大小写，别名只能是单个属性名称。
+     *
+     * 每一项还可以使用类似 GraphQL 的语法，在后面添加由花括号包括的子属性名称
+     * 序列，用于选择子对象（或者对象数组的每一个元素）的属性，比如：
+     * 'id, name, addr { city, zip }, orders[] { id, total }'
+     *
+     * - 子属性名称序列的语法跟属性名称序列的相同，即可以多层嵌套；
+     * - 名称路径后面的 '[]' 表示其值应该是一个数组，如果值不是数组，则忽略该项；
+     *   如果没有 '[]' 但值是数组，子属性名称序列也会作用于数组的每一个元素；
+     * - 别名写在花括号之前，比如 'addr AS location { city }'。
+     *
+     * 以减号（-）开始的项表示排除，比如 '*, -password, -internal.secret'：
+     *
+     * - 排除项的名称路径同样可以含有通配符（或者通配模式），比如 '-*Time'；
+     * - 排除项在所有选择项之后才作用，所以跟项的顺序无关；
+     * - 如果（某一层）属性名称序列只有排除项，则相当于先选择了所有属性，比如
+     *   '-password' 相当于 '*, -password'；
+     * - 排除项也可以用于子属性名称序列，比如 'id, addr { -zip }'；
+     * - 排除项不能指定别名和子属性名称序列。
+     *
+     * 名称路径的通配符 '*' 以及通配模式（比如 'meta_*'）也可以用于选择项，详细见
+     * ObjectAccessor.parseNamePath 方法的说明（属性名称序列总是解析通配模式，所以
+     * 名称含有 '*' 的属性需要使用引号包括起来）。
+     *
+     * 默认情况下遇到语法错误时，方法返回已解析的项，在严格模式下则会抛出
+     * ExpressionSyntaxError 异常。
+     *
+     * @param {*} nameString
+     * @param {*} strict 是否使用严格模式，默认为 false
+     * @returns 返回项对象数组，[{namePath, segments, isExcluded, alias, isArray, children}, ...]，
+     *     其中 namePath 为规范化的名称路径，segments 为名称片段对象数组（详细见
+     *     ObjectAccessor.parseNamePath 方法的说明），isExcluded 表示是否为排除项，
+     *     alias 为别名，如果没有指定别名则为 undefined，isArray 表示名称路径后面是否
+     *     有 '[]'，children 为子项对象数组，如果没有子属性名称序列则为 undefined。
+     */
+    static parseProperityNameSequence(nameString, strict = false) {
+        let length = nameString.length;
+        let pos = 0;
+
+        let syntaxError = (position, expected) => {
+            return new ExpressionSyntaxError(nameString, position, expected);
+        };
+
+        let skipSpaces = () => {
+            while (pos < length && /\s/.test(nameString[pos])) {
+                pos++;
+            }
+        };
+
+        let isEntryEnd = (c) => {
+            return c === ',' || c === '{' || c === '}';
+        };
+
+        // 读取一个单词，单词当中被引号包括的部分可以含有空格、逗号等字符
+        let readWord = () => {
+            let start = pos;
+            while (pos < length) {
+                let c = nameString[pos];
+                if (c === '\'' || c === '"') {
+                    let end = pos + 1;
+                    for (; end < length; end++) {
+                        if (nameString[end] === c) {
+                            if (c === '\'' && nameString[end + 1] === '\'') {
+                                // 单引号之内有两个连续单引号，表示一个单引号字符的意思
+                                end++;
+                                continue;
+                            }
+                            break;
+                        }
+                    }
+
+                    if (end >= length) {
+                        if (strict) {
+                            throw syntaxError(length, c === '\'' ? '"\'"' : '\'"\'');
+                        }
+                        pos = length;
+                        break;
+                    }
+                    pos = end + 1;
+
+                } else if (isEntryEnd(c) || /\s/.test(c)) {
+                    break;
+
+                } else {
+                    pos++;
+                }
+            }
+            return { start: start, end: pos, text: nameString.substring(start, pos) };
+        };
+
+        // 解析名称路径，并把语法错误的位置转换为在整个序列当中的位置
+        let parseNamePath = (text, start) => {
+            try {
+                return ObjectAccessor.parseNamePath(text, strict, true);
+            } catch (e) {
+                if (e instanceof ExpressionSyntaxError) {
+                    throw syntaxError(start + e.position, e.expected);
+                }
+                throw e;
+            }
+        };
+
+        let parseEntry = (entries, depth) => {
+            let words = [];
+            for (; ;) {
+                skipSpaces();
+                if (pos >= length || isEntryEnd(nameString[pos])) {
+                    break;
+                }
+                words.push(readWord());
+            }
+
+            if (words.length === 0) {
+                if (strict) {
+                    throw syntaxError(pos, 'name');
+                }
+                if (nameString[pos] === '{') {
+                    // 忽略没有名称的子属性名称序列
+                    pos++;
+                    parseSequence(depth + 1);
+                }
+                return;
+            }
+
+            // 以减号开始的项为排除项
+            let isExcluded = words[0].text[0] === '-';
+            if (isExcluded) {
+                let firstWord = words[0];
+                words[0] = {
+                    start: firstWord.start + 1,
+                    end: firstWord.end,
+                    text: firstWord.text.substring(1)
+                };
+
+                if (words[0].text === '') {
+                    words.shift();
+                }
+
+                if (words.length === 0) {
+                    if (strict) {
+                        throw syntaxError(firstWord.start + 1, 'name');
+                    }
+                    return;
+                }
+            }
+
+            let alias;
+            let pathWords = words;
+
+            if (words.length >= 3 &&
+                words[words.length - 2].text.toUpperCase() === 'AS') {
+                let aliasWord = words[words.length - 1];
+                let aliasSegments = parseNamePath(aliasWord.text, aliasWord.start);
+                if (aliasSegments.length !== 1 || aliasSegments[0].type !== 'property') {
+                    if (strict) {
+                        throw syntaxError(aliasWord.start, 'alias');
+                    }
+                    aliasSegments = [];
+                }
+                alias = aliasSegments.length === 1 ? aliasSegments[0].name : undefined;
+                pathWords = words.slice(0, -2);
+            }
+
+            // 名称路径由一个或多个单词组成（没有被引号包括的属性名称也可以含有空格）
+            let start = pathWords[0].start;
+            let end = pathWords[pathWords.length - 1].end;
+
+            // 名称路径后面的 '[]' 表示值是一个数组
+            let isArray = nameString.substring(end - 2, end) === '[]';
+            if (isArray) {
+                end -= 2;
+            }
+
+            let segments = parseNamePath(nameString.substring(start, end), start);
+
+            if (isExcluded && strict) {
+                // 排除项不能指定别名和子属性名称序列
+                if (alias !== undefined) {
+                    throw syntaxError(words[words.length - 2].start, '"," or "}"');
+                }
+                if (nameString[pos] === '{') {
+                    throw syntaxError(pos, '"," or "}"');
+                }
+            }
+
+            let children;
+            if (nameString[pos] === '{') {
+                pos++;
+                children = parseSequence(depth + 1);
+            }
+
+            if (segments.length === 0) {
+                return;
+            }
+
+            entries.push({
+                namePath: ObjectAccessor.formatNamePath(segments),
+                segments: segments,
+                isExcluded: isExcluded,
+                alias: alias,
+                isArray: isArray,
+                children: children
+            });
+        };
+
+        let parseSequence = (depth) => {
+            let entries = [];
+
+            for (; ;) {
+                parseEntry(entries, depth);
+                skipSpaces();
+
+                if (pos >= length) {
+                    if (depth > 0 && strict) {
+                        throw syntaxError(pos, '"}"');
+                    }
+                    break;
+                }
+
+                let c = nameString[pos];
+                if (c === '}') {
+                    if (depth > 0) {
+                        pos++;
+                        break;
+                    }
+
+                    // 多余的 '}'
+                    if (strict) {
+                        throw syntaxError(pos, '","');
+                    }
+                    pos = length;
+                    break;
+                }
+
+                if (c !== ',') {
+                    // 子属性名称序列之后缺少逗号，比如 'addr { city } name'
+                    if (strict) {
+                        throw syntaxError(pos, depth > 0 ? '"," or "}"' : '","');
+                    }
+                    continue;
+                }
+
+                pos++; // ','
+            }
+
+            return entries;
+        };
+
+        return parseSequence(0);
+    }
+
+    /**
+     * 拼接属性名称数组为属性名称序列，即 parseProperityNameSequence 方法的逆操作：
+     * 拼接结果的每一项都被解析为只有一个属性名称的名称路径，并且名称跟原名称相同，
+     * 所以拼接的结果可以用于 composeByProperityNameSequence 方法。
+     *
+     * 属性名称的引号规则跟 ObjectAccessor.joinNamePath 方法的相同，即只有当属性名称
+     * 含有点号、逗号、引号、方括号、花括号、通配符、空白字符等特殊字符，或者为空字符串时，
+     * 才会使用单引号包括起来，名称当中的单引号使用两个连续的单引号表示。以减号开始的
+     * 名称也会被包括起来，以免被解析为排除项。
+     *
+     * 比如 ['id', 'foo, bar', "it's"] 将会被拼接为 "id, 'foo, bar', 'it''s'"
+     *
+     * @param {*} propertyNames 属性名称数组
+     * @returns 返回属性名称序列字符串
+     */
+    static joinProperityNameSequence(propertyNames) {
+        return propertyNames.map(name => {
+            if (name[0] === '-') {
+                // 以减号开始的项表示排除项
+                return '\'' + name.replace(/'/g, '\'\'') + '\'';
+            }
+            return ObjectAccessor.joinNamePath([name]);
+        }).join(', ');
+    }
+
+    /**
+     * 检查属性名称序列的语法是否正确。
+     *
+     * @param {*} nameString
+     * @returns 返回 {valid: Boolean, error: ExpressionSyntaxError}，当语法正确时
+     *     error 的值为 undefined。
+     */
+    static validateProperityNameSequence(nameString) {
+        try {
+            ObjectComposer.parseProperityNameSequence(nameString, true);
+            return { valid: true, error: undefined };
+        } catch (e) {
+            if (e instanceof ExpressionSyntaxError) {
+                return { valid: false, error: e };
+            }
+            throw e;
+        }
+    }
+
     /**
      * 根据指定的属性名称重组对象。
      *
      * - 即只挑选指定名称的属性构成一个新的对象。
      * - 如果原对象不存在指定的属性，则新的对象也不会有该属性
      *
+     * 第二个参数也可以是一个字段说明（field spec）对象，用于计算新对象的每一个
+     * 属性的值，其结构如下：
+     * {
+     *   outputName1: 'sourceNamePath',
+     *   outputName2: function(sourceObject) { return value; },
+     *   outputName3: {path: 'sourceNamePath', default: defaultValue},
+     *   outputName4: {get: function(sourceObject) {...}, default: defaultValue},
+     *   outputName5: {default: defaultValue},
+     *   ...
+     * }
+     *
+     * - 字符串表示源对象的名称路径（name path），详细见 ObjectAccessor.splitNamePath
+     *   方法的说明；
+     * - 函数表示取值方法（getter），比如 (user) => user.first + ' ' + user.last；
+     * - 对象可以指定名称路径（path）或者取值方法（get），以及默认值（default），如果
+     *   两者都没有指定，则名称路径为输出的属性名称；
+     * - 当源对象不存在指定名称路径的属性，或者取值方法返回 undefined 时，如果指定了
+     *   默认值，则新对象的属性值为默认值，否则新对象不会有该属性。
+     *
+     * 注：默认值不会被复制，即所有新对象共享同一个默认值。
+     *
      * @param {*} sourceObject
-     * @param {*} propertyNames 属性名称数组，
+     * @param {*} propertyNames 属性名称数组，或者字段说明对象，
      *     注：如果属性名称当中含有特殊字符，比如逗号，点号，空格等，**不需要**
      *     前后加单引号或双引号，也不用任何的转换或者转义。
      * @returns 返回只由指定属性所构成的新对象
      */
     static compose(sourceObject, propertyNames) {
-        let keys = Object.keys(sourceObject);
+        if (!Array.isArray(propertyNames)) {
+            let fields = ObjectComposer._compileFieldSpec(propertyNames);
+            return ObjectComposer._composeFields(sourceObject, fields);
+        }
+
         let targetObject = {};
         for(let propertyName of propertyNames) {
-            if (keys.includes(propertyName)){
+            // 相当于 Object.keys(sourceObject).includes(propertyName)
+            if (propertyIsEnumerable.call(sourceObject, propertyName)){
                 targetObject[propertyName] =  sourceObject[propertyName];
             }
         }
         return targetObject;
     }
 
+    /**
+     * 重组对象数组当中的每一个对象。
+     *
+     * @param {*} sourceObjects 源对象数组
+     * @param {*} fields 属性名称数组、字段说明对象（详细见 compose 方法的说明），
+     *     或者属性名称序列字符串（详细见 composeByProperityNameSequence 方法的说明）。
+     * @returns 返回新对象的数组
+     */
+    static composeArray(sourceObjects, fields) {
+        if (typeof fields === 'string') {
+            return sourceObjects.map(sourceObject => {
+                return ObjectComposer.composeByProperityNameSequence(sourceObject, fields);
+            });
+        }
+
+        if (Array.isArray(fields)) {
+            return sourceObjects.map(sourceObject => {
+                return ObjectComposer.compose(sourceObject, fields);
+            });
+        }
+
+        // 预先编译字段说明，以避免对每一个对象重复编译
+        let compiledFields = ObjectComposer._compileFieldSpec(fields);
+        return sourceObjects.map(sourceObject => {
+            return ObjectComposer._composeFields(sourceObject, compiledFields);
+        });
+    }
+
     /**
      * 根据指定的属性名称序列重组对象。
      *
+     * - 属性名称序列的每一项都是一个名称路径，挑选出来的属性会按照原来的层次
+     *   结构放置在新对象当中，比如 'id, addr.city' 对于对象
+     *   {id: 1, name: 'foo', addr: {city: 'sz', zip: '518000'}}
+     *   的结果为：
+     *   {id: 1, addr: {city: 'sz'}}
+     * - 如果某一项指定了别名，则该属性会以别名作为属性名称放置在新对象的第一层，
+     *   比如 'id, profile.displayName AS name' 的结果为 {id: ..., name: ...}，
+     *   这可以用于展平或者重命名属性。
+     * - 如果名称路径含有通配符，则所有匹配的属性都会被挑选，当同时指定了别名时，
+     *   别名属性的值为所有匹配的值所构成的数组。
+     * - 挑选出来的数组元素在新数组当中是连续的（即没有空位），并保持原来的顺序，
+     *   比如 'orders[1].id' 的结果为 {orders: [{id: ...}]}。
+     * - 以减号（-）开始的项表示从结果当中排除指定的属性，比如 '*, -password'，
+     *   排除操作不会修改源对象。
+     * - 如果原对象不存在指定的属性，则新的对象也不会有该属性。
+     *
      * @param {*} sourceObject
      * @param {*} nameString 一个字符串，由逗号分隔的属性名称序列
      *     注：如果属性名称当中含有特殊字符，比如逗号，点号，空格等，**需要**
-     *     前后加单引号或双引号，必要时还要作转义，详细见 splitProperityNameSequence
+     *     前后加单引号或双引号，必要时还要作转义，详细见 parseProperityNameSequence
      *     方法的说明。
+     *     解析的结果会被缓存（LRU），所以对大量对象使用同一个属性名称序列时，
+     *     序列不会被重复解析。
      * @returns 返回只由指定属性所构成的新对象
      */
     static composeByProperityNameSequence(sourceObject, nameString) {
-        let propertyNames = ObjectComposer.splitProperityNameSequence(nameString);
-        return ObjectComposer.compose(sourceObject, propertyNames);
+        let entries = nameSequenceCache.get(nameString);
+        if (entries === undefined) {
+            entries = ObjectComposer.parseProperityNameSequence(nameString);
+            nameSequenceCache.set(nameString, entries);
+        }
+        return ObjectComposer._composeEntries(sourceObject, entries);
+    }
+
+    // PRIVATE
+    static _compileFieldSpec(fieldSpec) {
+        return Object.keys(fieldSpec).map(outputName => {
+            let spec = fieldSpec[outputName];
+
+            if (typeof spec === 'string' || typeof spec === 'function') {
+                spec = { path: spec };
+            }
+
+            let path = spec.get !== undefined ? spec.get :
+                (spec.path !== undefined ? spec.path : ObjectAccessor.joinNamePath([outputName]));
+
+            let get;
+            if (typeof path === 'function') {
+                get = path;
+            } else {
+                // 区分 “属性不存在” 和 “属性值为 undefined”
+                let accessor = ObjectAccessor.compile(path);
+                get = (sourceObject) => {
+                    return accessor.has(sourceObject) ? accessor.get(sourceObject) : undefined;
+                };
+            }
+
+            return {
+                outputName: outputName,
+                get: get,
+                hasDefault: propertyIsEnumerable.call(spec, 'default'),
+                defaultValue: spec.default
+            };
+        });
+    }
+
+    // PRIVATE
+    static _composeFields(sourceObject, fields) {
+        let targetObject = {};
+
+        for (let { outputName, get, hasDefault, defaultValue } of fields) {
+            let value = get(sourceObject);
+            if (value !== undefined) {
+                targetObject[outputName] = value;
+            } else if (hasDefault) {
+                targetObject[outputName] = defaultValue;
+            }
+        }
+
+        return targetObject;
+    }
+
+    // PRIVATE
+    static _composeEntries(sourceObject, entries) {
+        let includedEntries = entries.filter(entry => !entry.isExcluded);
+        let excludedEntries = entries.filter(entry => entry.isExcluded);
+
+        // 只有排除项时，相当于先选择了所有属性
+        let targetObject = (includedEntries.length === 0 && excludedEntries.length > 0) ?
+            Object.assign({}, sourceObject) : {};
+
+        // 放置挑选的值时由本方法创建的对象（以及数组），只有这些对象可以直接修改，
+        // 其他对象（即从源对象挑选的值）需要先复制，以防止源对象被修改
+        let createdObjects = new Set([targetObject]);
+
+        // 放置挑选的值时新建的（空）数组
+        let createdArrays = new Set();
+
+        for (let entry of includedEntries) {
+            let accessor = ObjectAccessor.compile(entry.namePath, true);
+            let matches = accessor.getAll(sourceObject);
+
+            if (entry.isArray) {
+                matches = matches.filter(match => Array.isArray(match.value));
+            }
+
+            if (matches.length === 0) {
+                continue;
+            }
+
+            let values = matches.map(match => {
+                return entry.children === undefined ? match.value :
+                    ObjectComposer._composeChildren(match.value, entry.children);
+            });
+
+            if (entry.alias !== undefined) {
+                targetObject[entry.alias] = accessor.hasWildcard ? values : values[0];
+                continue;
+            }
+
+            matches.forEach((match, idx) => {
+                ObjectComposer._placeValue(targetObject, match.names, values[idx], createdObjects, createdArrays);
+            });
+        }
+
+        // 按索引挑选的数组元素不一定是连续的，比如 'orders[1].id' 或者部分元素没有
+        // 指定属性的 'orders.*.id'，所以移除数组的空位。这些数组都是新建的，可以直接修改。
+        for (let array of createdArrays) {
+            let items = array.filter(() => true);
+            array.length = 0;
+            array.push(...items);
+        }
+
+        for (let entry of excludedEntries) {
+            // 选择项的值是跟源对象共享的，所以需要使用 removeIn 方法，以防止源对象被修改。
+            // 从后往前删除，以防止删除数组元素之后，其余匹配项的索引发生变化
+            let matches = ObjectAccessor.compile(entry.namePath, true).getAll(targetObject);
+            for (let idx = matches.length - 1; idx >= 0; idx--) {
+                targetObject = ObjectAccessor.removeIn(
+                    targetObject, ObjectAccessor.joinNamePath(matches[idx].names));
+            }
+        }
+
+        return targetObject;
     }
 
+    // PRIVATE
+    static _placeValue(targetObject, names, value, createdObjects, createdArrays) {
+        let parentObject = targetObject;
+
+        for (let idx = 0; idx < names.length - 1; idx++) {
+            let childObject = parentObject[names[idx]];
+            if (childObject === null || typeof childObject !== 'object') {
+                // 中间对象不存在，创建一个新的空对象（或空数组）
+                childObject = typeof names[idx + 1] === 'number' ? [] : {};
+                if (Array.isArray(childObject)) {
+                    createdArrays.add(childObject);
+                }
+                createdObjects.add(childObject);
+                parentObject[names[idx]] = childObject;
+
+            } else if (!createdObjects.has(childObject)) {
+                // 中间对象是之前的项挑选的值（跟源对象共享），比如 'addr, addr.geo { lat }'
+                // 当中的 addr，所以先浅复制
+                childObject = Array.isArray(childObject) ?
+                    childObject.slice() : Object.assign({}, childObject);
+                createdObjects.add(childObject);
+                parentObject[names[idx]] = childObject;
+            }
+            parentObject = childObject;
+        }
+
+        parentObject[names[names.length - 1]] = value;
+    }
+
+    // PRIVATE
+    static _composeChildren(value, children) {
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                return ObjectComposer._composeChildren(item, children);
+            });
+        }
+
+        if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+            return ObjectComposer._composeEntries(value, children);
+        }
+
+        // 基本数据类型、null、Date 等值无法选择子属性，所以保持原值
+        return value;
+    }
 }
 
-module.exports = ObjectComposer;
\ No newline at end of file
+module.exports = ObjectComposer;
@@ -0,0 +1,408 @@
+const ExpressionParser = require('./expressionparser');
+const ExpressionSyntaxError = require('./expressionsyntaxerror');
+const LRUCache = require('./lrucache');
+const ObjectAccessor = require('./objectaccessor');
+const ObjectUtils = require('./objectutils');
+const ValueUtils = require('./valueutils');
+
+// 已编译的过滤表达式的缓存的最大条目数量
+const compiledCacheCapacity = 500;
+const compiledCache = new LRUCache(compiledCacheCapacity);
+
+// 没有被引号包括的名称路径不能含有的字符
+const namePathTerminators = '()=!<>,';
+
+// 比较运算符，较长的运算符需要排在前面
+const compareOperators = ['==', '!=', '<>', '<=', '>=', '=', '<', '>'];
+
+/**
+ * 过滤表达式的解析器
+ *
+ * PRIVATE
+ */
+class FilterParser extends ExpressionParser {
+    parseFilter() {
+        this.skipSpaces();
+        let node = this.parseOr();
+        this.skipSpaces();
+        if (!this.isEnd()) {
+            throw this.syntaxError('"AND", "OR" or end of expression');
+        }
+        return node;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        for (; ;) {
+            this.skipSpaces();
+            if (!this.acceptKeyword('OR')) {
+                return left;
+            }
+            left = { type: 'or', left: left, right: this.parseAnd() };
+        }
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        for (; ;) {
+            this.skipSpaces();
+            if (!this.acceptKeyword('AND')) {
+                return left;
+            }
+            left = { type: 'and', left: left, right: this.parseUnary() };
+        }
+    }
+
+    parseUnary() {
+        this.skipSpaces();
+        if (this.acceptKeyword('NOT')) {
+            return { type: 'not', operand: this.parseUnary() };
+        }
+
+        if (this.peek() === '(') {
+            this.pos++;
+            let node = this.parseOr();
+            this.skipSpaces();
+            this.expect(')');
+            return node;
+        }
+
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        let left = this.parseOperand();
+
+        this.skipSpaces();
+        let operator = compareOperators.find(operator => this.expression.startsWith(operator, this.pos));
+        if (operator !== undefined) {
+            this.pos += operator.length;
+            let right = this.parseOperand();
+            return {
+                type: 'compare',
+                // '=' 和 '==' 相同，'<>' 和 '!=' 相同
+                operator: operator === '=' ? '==' : (operator === '<>' ? '!=' : operator),
+                left: left,
+                right: right
+            };
+        }
+
+        if (this.acceptKeyword('IS')) {
+            this.skipSpaces();
+            let negated = this.acceptKeyword('NOT');
+            this.skipSpaces();
+            if (!this.acceptKeyword('NULL')) {
+                throw this.syntaxError('"NULL"');
+            }
+            return { type: 'is-null', operand: left, negated: negated };
+        }
+
+        let keywordPosition = this.pos;
+        let negated = this.acceptKeyword('NOT');
+        this.skipSpaces();
+
+        if (this.acceptKeyword('IN')) {
+            return { type: 'in', operand: left, values: this.parseLiteralList(), negated: negated };
+        }
+
+        for (let operator of ['LIKE', 'GLOB']) {
+            if (this.acceptKeyword(operator)) {
+                this.skipSpaces();
+                if (this.peek() !== '"') {
+                    throw this.syntaxError('string');
+                }
+                let pattern = this.parseQuotedString();
+                return { type: 'match', operator: operator, operand: left, pattern: pattern, negated: negated };
+            }
+        }
+
+        if (this.acceptKeyword('CONTAINS')) {
+            return { type: 'contains', left: left, right: this.parseOperand(), negated: negated };
+        }
+
+        if (negated) {
+            throw this.syntaxError('"IN", "LIKE", "GLOB" or "CONTAINS"');
+        }
+
+        // 单独的一个值，按真值判断
+        this.pos = keywordPosition;
+        return left;
+    }
+
+    parseLiteralList() {
+        this.skipSpaces();
+        this.expect('(');
+
+        let values = [];
+        for (; ;) {
+            let node = this.parseOperand();
+            if (node.type !== 'literal') {
+                this.pos = node.position;
+                throw this.syntaxError('string, number, "TRUE", "FALSE" or "NULL"');
+            }
+            values.push(node.value);
+
+            this.skipSpaces();
+            if (this.peek() !== ',') {
+                break;
+            }
+            this.pos++;
+        }
+
+        this.expect(')');
+        return values;
+    }
+
+    parseOperand() {
+        this.skipSpaces();
+        let position = this.pos;
+        let c = this.peek();
+
+        if (c === '"') {
+            return { type: 'literal', value: this.parseQuotedString(), position: position };
+        }
+
+        let number = this.parseNumber();
+        if (number !== undefined) {
+            return { type: 'literal', value: number, position: position };
+        }
+
+        let keyword = this.parseLiteralKeyword(true);
+        if (keyword !== undefined) {
+            return { type: 'literal', value: keyword.value, position: position };
+        }
+
+        // 布尔运算符不能作为名称，需要使用单引号包括起来
+        let isOperator = ['AND', 'OR', 'NOT'].some(keyword => this.acceptKeyword(keyword));
+        this.pos = position;
+
+        if (isOperator || this.isEnd() || /\s/.test(c) || namePathTerminators.includes(c)) {
+            throw this.syntaxError('name path, string, number, "TRUE", "FALSE" or "NULL"');
+        }
+
+        let { namePath } = this.parseNamePath(() => namePathTerminators.includes(this.peek()));
+        return { type: 'path', namePath: namePath, position: position };
+    }
+}
+
+/**
+ * 对象的过滤工具
+ *
+ * 使用类似 SQL WHERE 子句的过滤表达式判断对象是否满足条件，比如：
+ *
+ * 'age >= 18 AND (addr.city = "Shenzhen" OR tags CONTAINS "vip") AND NOT deleted'
+ *
+ * 过滤表达式由解析器解析并编译为判断函数，不会使用 eval，所以可以用于
+ * 处理最终用户输入的过滤表达式。
+ */
+class ObjectFilter {
+
+    /**
+     * 解析过滤表达式
+     *
+     * 过滤表达式支持如下语法：
+     *
+     * - 名称路径，比如 'age', 'addr.city', 'items[0].name', "meta.'file name'"，
+     *   语法跟 ObjectAccessor.splitNamePath 方法的相同，但属性名称只能使用单引号
+     *   包括起来（名称路径中间的属性名称也可以使用双引号），当名称路径含有通配符
+     *   时（比如 'items.*.price > 10'），只要任意一个匹配的值满足条件即为真；
+     * - 字符串（使用双引号包括起来，两个连续的双引号表示一个双引号）、数字、
+     *   TRUE、FALSE 和 NULL；
+     * - 比较运算符 =（或 ==），!=（或 <>），<，<=，>，>=，其中 = 和 != 使用
+     *   ObjectUtils.equals 进行深度比较，大小比较仅当两边同为数字、字符串或者 Date
+     *   时才可能为真；
+     * - 'x IN (1, 2, "a")'，'x NOT IN (...)'，列表里只能是字符串、数字、TRUE、FALSE 和 NULL；
+     * - 'x LIKE "Shen%"'，'%' 匹配任意多个字符，'_' 匹配一个字符，不区分大小写；
+     * - 'x GLOB "Shen*"'，'*' 匹配任意多个字符，'?' 匹配一个字符，区分大小写；
+     * - 'x CONTAINS "vip"'，当 x 为数组时判断是否含有指定的元素（深度比较），
+     *   当 x 为字符串时判断是否含有指定的子字符串；
+     * - 'x IS NULL'，'x IS NOT NULL'；
+     * - 不存在的属性的值视为 NULL，比如对于 {a: 1}，'b IS NULL' 和 'b = NULL' 都为真；
+     * - LIKE, GLOB 和 CONTAINS 之前也可以添加 NOT，比如 'name NOT LIKE "a%"'；
+     * - 布尔运算符 AND，OR，NOT 以及括号，优先级从低到高为 OR，AND，NOT；
+     * - 单独的一个值（比如 'NOT deleted'）按 JavaScript 的真值判断。
+     *
+     * 所有关键字都不区分大小写。如果名称与关键字相同（比如 'null', 'and'），则需要
+     * 使用单引号包括起来。
+     *
+     * 如果过滤表达式的语法不正确，则抛出 ExpressionSyntaxError 异常。
+     *
+     * @param {*} expression 过滤表达式
+     * @returns 返回语法树的根节点对象
+     */
+    static parse(expression) {
+        let parser = new FilterParser(expression);
+        return parser.parseFilter();
+    }
+
+    /**
+     * 编译过滤表达式为一个判断函数
+     *
+     * 编译的结果会被缓存（LRU），判断函数可以直接用于 Array.prototype.filter 方法，
+     * 比如：
+     *
+     * let adults = users.filter(ObjectFilter.compile('age >= 18'));
+     *
+     * @param {*} expression 过滤表达式，详细见 parse 方法的说明。
+     * @returns 返回判断函数 (itemObject) => Boolean
+     */
+    static compile(expression) {
+        let predicate = compiledCache.get(expression);
+        if (predicate === undefined) {
+            let evaluate = ObjectFilter._compileNode(ObjectFilter.parse(expression));
+            predicate = (itemObject) => {
+                return Boolean(evaluate(itemObject));
+            };
+            compiledCache.set(expression, predicate);
+        }
+        return predicate;
+    }
+
+    /**
+     * 判断对象是否满足过滤表达式
+     *
+     * @param {*} itemObject
+     * @param {*} expression 过滤表达式，详细见 parse 方法的说明。
+     * @returns 返回 Boolean
+     */
+    static test(itemObject, expression) {
+        return ObjectFilter.compile(expression)(itemObject);
+    }
+
+    /**
+     * 过滤对象数组
+     *
+     * @param {*} itemObjects
+     * @param {*} expression 过滤表达式，详细见 parse 方法的说明。
+     * @returns 返回满足过滤表达式的对象的新数组
+     */
+    static filter(itemObjects, expression) {
+        return itemObjects.filter(ObjectFilter.compile(expression));
+    }
+
+    /**
+     * 检查过滤表达式的语法是否正确。
+     *
+     * 供 UI 等在使用用户输入的过滤表达式之前检查使用。
+     *
+     * @param {*} expression
+     * @returns 返回 {valid: Boolean, error: ExpressionSyntaxError}，当语法正确时
+     *     error 的值为 undefined。
+     */
+    static validate(expression) {
+        try {
+            ObjectFilter.parse(expression);
+            return { valid: true, error: undefined };
+        } catch (e) {
+            if (e instanceof ExpressionSyntaxError) {
+                return { valid: false, error: e };
+            }
+            throw e;
+        }
+    }
+
+    // PRIVATE
+    static _compileNode(node) {
+        switch (node.type) {
+            case 'literal':
+                return () => node.value;
+
+            case 'path':
+                {
+                    // 不存在的属性的值视为 NULL
+                    let get = ObjectAccessor.compile(node.namePath).get;
+                    return (itemObject) => {
+                        let value = get(itemObject);
+                        return value === undefined ? null : value;
+                    };
+                }
+
+            case 'not':
+                {
+                    let operand = ObjectFilter._compileNode(node.operand);
+                    return (itemObject) => !operand(itemObject);
+                }
+
+            case 'and':
+                {
+                    let left = ObjectFilter._compileNode(node.left);
+                    let right = ObjectFilter._compileNode(node.right);
+                    return (itemObject) => Boolean(left(itemObject) && right(itemObject));
+                }
+
+            case 'or':
+                {
+                    let left = ObjectFilter._compileNode(node.left);
+                    let right = ObjectFilter._compileNode(node.right);
+                    return (itemObject) => Boolean(left(itemObject) || right(itemObject));
+                }
+
+            case 'compare':
+                {
+                    let right = ObjectFilter._compileNode(node.right);
+                    return ObjectFilter._compilePredicate(node.left, (value, itemObject) => {
+                        return ValueUtils.compare(value, node.operator, right(itemObject));
+                    });
+                }
+
+            case 'is-null':
+                return ObjectFilter._compilePredicate(node.operand, (value) => {
+                    return (value === null) !== node.negated;
+                });
+
+            case 'in':
+                return ObjectFilter._compilePredicate(node.operand, (value) => {
+                    return node.values.some(item => ObjectUtils.equals(value, item)) !== node.negated;
+                });
+
+            case 'match':
+                {
+                    let isMatch = node.operator === 'LIKE' ?
+                        ValueUtils.compileWildcardPattern(node.pattern, '%', '_', true) :
+                        ValueUtils.compileWildcardPattern(node.pattern, '*', '?');
+                    return ObjectFilter._compilePredicate(node.operand, (value) => {
+                        return (typeof value === 'string' && isMatch(value)) !== node.negated;
+                    });
+                }
+
+            case 'contains':
+                {
+                    let right = ObjectFilter._compileNode(node.right);
+                    return ObjectFilter._compilePredicate(node.left, (value, itemObject) => {
+                        return ObjectFilter._contains(value, right(itemObject)) !== node.negated;
+                    });
+                }
+        }
+    }
+
+    // PRIVATE
+    static _compilePredicate(operandNode, test) {
+        // 当名称路径含有通配符时，只要任意一个匹配的值满足条件即为真
+        if (operandNode.type === 'path') {
+            let accessor = ObjectAccessor.compile(operandNode.namePath);
+            if (accessor.hasWildcard) {
+                return (itemObject) => {
+                    return accessor.getAll(itemObject).some(match => test(match.value, itemObject));
+                };
+            }
+        }
+
+        let operand = ObjectFilter._compileNode(operandNode);
+        return (itemObject) => test(operand(itemObject), itemObject);
+    }
+
+    // PRIVATE
+    static _contains(container, value) {
+        if (Array.isArray(container)) {
+            return container.some(item => ObjectUtils.equals(item, value));
+        }
+
+        if (typeof container === 'string' && typeof value === 'string') {
+            return container.includes(value);
+        }
+
+        return false;
+    }
+}
+
+module.exports = ObjectFilter;
@@ -0,0 +1,292 @@
+const ObjectAccessor = require('./objectaccessor');
+const ObjectUtils = require('./objectutils');
+const ValueUtils = require('./valueutils');
+
+// 大小比较运算符对应的 ValueUtils.compare 方法的运算符
+const compareOperators = {
+    '$gt': '>',
+    '$gte': '>=',
+    '$lt': '<',
+    '$lte': '<='
+};
+
+// 查询对象的逻辑运算符，其值为查询对象数组
+const logicalOperators = ['$and', '$or', '$nor'];
+
+/**
+ * 使用类似 MongoDB 查询对象（query object）的条件匹配对象
+ *
+ * 查询对象是一个纯数据对象，适用于通过 JSON 传递过滤条件的情况，比如：
+ *
+ * {
+ *   age: {$gte: 18},
+ *   'addr.city': {$in: ['SZ', 'GZ']},
+ *   $or: [{vip: true}, {score: {$gt: 90}}]
+ * }
+ *
+ * 查询对象会被编译为判断函数，不会使用 eval。
+ */
+class ObjectMatcher {
+
+    /**
+     * 编译查询对象为一个判断函数
+     *
+     * 查询对象的每一个 key 为名称路径（详细见 ObjectAccessor.splitNamePath 方法的说明）
+     * 或者逻辑运算符，多个 key 之间为 “与” 的关系：
+     *
+     * - {namePath: value}，值相等，使用 ObjectUtils.equals 进行深度比较，当属性值
+     *   为数组时，数组本身或者数组的任意一个元素与 value 相等即为真；不存在的属性
+     *   的值视为 null，即 {namePath: null} 匹配值为 null 或者不存在的属性；
+     * - {namePath: /regex/}，同 $regex；
+     * - {namePath: {$operator: operand, ...}}，使用运算符匹配属性值，多个运算符
+     *   之间为 “与” 的关系；
+     * - {$and: [query, ...]}，{$or: [query, ...]}，{$nor: [query, ...]}，逻辑运算。
+     *
+     * 支持的属性值运算符有：
+     *
+     * - $eq, $ne，值相等、不相等，规则同上；
+     * - $gt, $gte, $lt, $lte，大小比较，仅当两边同为数字、字符串或者 Date 时
+     *   才可能为真，当属性值为数组时，任意一个元素满足条件即为真；
+     * - $in, $nin，属性值（或者数组的任意一个元素）等于（不等于）数组里的任意一个值；
+     * - $all，属性值为数组，且含有指定数组的所有元素；
+     * - $exists，属性是否存在（值不是 undefined）；
+     * - $regex，属性值（或者数组的任意一个元素）为字符串且匹配正则表达式，
+     *   $regex 可以是 RegExp 对象或者字符串，可以使用 $options 指定正则表达式的标志，
+     *   比如 {$regex: '^sh', $options: 'i'}；
+     * - $size，属性值为数组，且数组的长度为指定的值；
+     * - $elemMatch，属性值为数组，且任意一个元素匹配指定的条件，条件可以是
+     *   运算符对象（比如 {$gt: 5}），也可以是查询对象（用于元素为对象的数组，
+     *   可以含有逻辑运算符，比如 {$or: [{price: 5}, {paid: false}]}）；
+     * - $not，属性值不匹配指定的运算符对象或者正则表达式，比如 {$not: {$gt: 5}}。
+     *
+     * 当名称路径含有通配符时（比如 'items.*.price'），只要任意一个匹配的值满足条件即为真。
+     *
+     * 如果查询对象含有未知的运算符，则抛出 RangeError 异常。
+     *
+     * @param {*} query 查询对象
+     * @returns 返回判断函数 (itemObject) => Boolean
+     */
+    static compile(query) {
+        return ObjectMatcher._compileQuery(query);
+    }
+
+    /**
+     * 判断对象是否匹配查询对象
+     *
+     * @param {*} itemObject
+     * @param {*} query 查询对象，详细见 compile 方法的说明。
+     * @returns 返回 Boolean
+     */
+    static match(itemObject, query) {
+        return ObjectMatcher.compile(query)(itemObject);
+    }
+
+    /**
+     * 过滤对象数组
+     *
+     * @param {*} itemObjects
+     * @param {*} query 查询对象，详细见 compile 方法的说明。
+     * @returns 返回匹配查询对象的对象的新数组
+     */
+    static filter(itemObjects, query) {
+        return itemObjects.filter(ObjectMatcher.compile(query));
+    }
+
+    // PRIVATE
+    static _compileQuery(query) {
+        let tests = Object.keys(query).map(key => {
+            let condition = query[key];
+
+            switch (key) {
+                case '$and':
+                    {
+                        let subTests = ObjectMatcher._compileQueryArray(key, condition);
+                        return (itemObject) => subTests.every(test => test(itemObject));
+                    }
+                case '$or':
+                    {
+                        let subTests = ObjectMatcher._compileQueryArray(key, condition);
+                        return (itemObject) => subTests.some(test => test(itemObject));
+                    }
+                case '$nor':
+                    {
+                        let subTests = ObjectMatcher._compileQueryArray(key, condition);
+                        return (itemObject) => !subTests.some(test => test(itemObject));
+                    }
+            }
+
+            if (key.startsWith('$')) {
+                throw new RangeError('Unknown query operator "' + key + '".');
+            }
+
+            return ObjectMatcher._compileFieldCondition(key, condition);
+        });
+
+        return (itemObject) => tests.every(test => test(itemObject));
+    }
+
+    // PRIVATE
+    static _compileQueryArray(operator, queries) {
+        if (!Array.isArray(queries)) {
+            throw new TypeError('The value of "' + operator + '" should be an array.');
+        }
+
+        return queries.map(query => ObjectMatcher._compileQuery(query));
+    }
+
+    // PRIVATE
+    static _compileFieldCondition(namePath, condition) {
+        let accessor = ObjectAccessor.compile(namePath);
+        let test = ObjectMatcher._compileValueCondition(condition);
+
+        if (accessor.hasWildcard) {
+            // 任意一个匹配的值满足条件即为真，没有匹配的值时视为属性不存在
+            return (itemObject) => {
+                let matches = accessor.getAll(itemObject);
+                return matches.length === 0 ?
+                    test(undefined) : matches.some(match => test(match.value));
+            };
+        }
+
+        return (itemObject) => test(accessor.get(itemObject));
+    }
+
+    // PRIVATE
+    static _compileValueCondition(condition) {
+        if (condition instanceof RegExp) {
+            return (value) => ObjectMatcher._matchRegex(value, condition);
+        }
+
+        if (!ObjectMatcher._isOperatorObject(condition)) {
+            return (value) => ObjectMatcher._equals(value, condition);
+        }
+
+        let tests = Object.keys(condition).map(operator => {
+            return ObjectMatcher._compileOperator(operator, condition[operator], condition);
+        });
+
+        return (value) => tests.every(test => test(value));
+    }
+
+    // PRIVATE
+    static _compileOperator(operator, operand, condition) {
+        switch (operator) {
+            case '$eq':
+                return (value) => ObjectMatcher._equals(value, operand);
+
+            case '$ne':
+                return (value) => !ObjectMatcher._equals(value, operand);
+
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return (value) => ObjectMatcher._anyValue(value, item => {
+                    return ValueUtils.compare(item, compareOperators[operator], operand);
+                });
+
+            case '$in':
+                {
+                    let candidates = ObjectMatcher._toArray(operator, operand);
+                    return (value) => candidates.some(candidate => ObjectMatcher._equals(value, candidate));
+                }
+
+            case '$nin':
+                {
+                    let candidates = ObjectMatcher._toArray(operator, operand);
+                    return (value) => !candidates.some(candidate => ObjectMatcher._equals(value, candidate));
+                }
+
+            case '$all':
+                {
+                    let candidates = ObjectMatcher._toArray(operator, operand);
+                    return (value) => Array.isArray(value) && candidates.every(candidate => {
+                        return value.some(item => ObjectUtils.equals(item, candidate));
+                    });
+                }
+
+            case '$exists':
+                return (value) => (value !== undefined) === Boolean(operand);
+
+            case '$regex':
+                {
+                    let regex = (operand instanceof RegExp) ?
+                        operand : new RegExp(operand, condition.$options || '');
+                    return (value) => ObjectMatcher._matchRegex(value, regex);
+                }
+
+            case '$options':
+                // 与 $regex 一起使用，详细见 $regex
+                return () => true;
+
+            case '$size':
+                return (value) => Array.isArray(value) && value.length === operand;
+
+            case '$elemMatch':
+                {
+                    // 条件为运算符对象时匹配元素本身，否则（包括含有逻辑运算符时，
+                    // 比如 {$or: [{p: 5}, {q: 9}]}）作为查询对象匹配元素对象
+                    let isQuery = !ObjectMatcher._isOperatorObject(operand) ||
+                        Object.keys(operand).some(key => logicalOperators.includes(key));
+                    let test = isQuery ?
+                        ObjectMatcher._compileQuery(operand) : ObjectMatcher._compileValueCondition(operand);
+                    return (value) => Array.isArray(value) && value.some(item => test(item));
+                }
+
+            case '$not':
+                {
+                    if (!(operand instanceof RegExp) && !ObjectMatcher._isOperatorObject(operand)) {
+                        throw new TypeError('The value of "$not" should be an operator object or a RegExp.');
+                    }
+
+                    let test = ObjectMatcher._compileValueCondition(operand);
+                    return (value) => !test(value);
+                }
+        }
+
+        throw new RangeError('Unknown query operator "' + operator + '".');
+    }
+
+    // PRIVATE
+    static _isOperatorObject(condition) {
+        if (!ObjectUtils.isObject(condition) || condition instanceof RegExp) {
+            return false;
+        }
+
+        let keys = Object.keys(condition);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // PRIVATE
+    static _toArray(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw new TypeError('The value of "' + operator + '" should be an array.');
+        }
+
+        return operand;
+    }
+
+    // PRIVATE
+    static _anyValue(value, test) {
+        // 当属性值为数组时，数组本身或者数组的任意一个元素满足条件即为真
+        return test(value) || (Array.isArray(value) && value.some(item => test(item)));
+    }
+
+    // PRIVATE
+    static _equals(value, operand) {
+        // 不存在的属性的值视为 null
+        let normalizedValue = (value === undefined) ? null : value;
+        return ObjectMatcher._anyValue(normalizedValue, item => ObjectUtils.equals(item, operand));
+    }
+
+    // PRIVATE
+    static _matchRegex(value, regex) {
+        return ObjectMatcher._anyValue(value, item => {
+            // 重置带有 g 或 y 标志的正则表达式的 lastIndex，以免影响下一次匹配
+            regex.lastIndex = 0;
+            return typeof item === 'string' && regex.test(item);
+        });
+    }
+}
+
+module.exports = ObjectMatcher;
@@ -0,0 +1,506 @@
+const ExpressionParser = require('./expressionparser');
+const LRUCache = require('./lrucache');
+const ObjectAccessor = require('./objectaccessor');
+const ValueUtils = require('./valueutils');
+
+// 已编译的查询表达式的缓存的最大条目数量
+const compiledCacheCapacity = 500;
+const compiledCache = new LRUCache(compiledCacheCapacity);
+
+// 过滤表达式当中，没有被引号包括的名称路径不能含有的字符
+const filterNameTerminators = '[]()=!<>&|,';
+
+// 通配符 '*'，匹配任意一个属性（或者数组元素）
+const wildcardStep = { type: 'wildcard' };
+
+/**
+ * 查询表达式的解析器
+ *
+ * PRIVATE
+ */
+class QueryParser extends ExpressionParser {
+    parseQuery() {
+        let steps = this.parsePath(false);
+        if (!this.isEnd()) {
+            throw this.syntaxError('"." or "["');
+        }
+        return steps;
+    }
+
+    /**
+     * 解析路径
+     *
+     * 名称、数组索引以及通配符部分使用 ObjectAccessor.parseNamePath 方法解析，
+     * 即语法跟名称路径的相同，此方法只解析递归下降以及方括号里的联合、切片和过滤。
+     *
+     * @param {*} inFilter 是否位于过滤表达式之内，过滤表达式之内的路径以 '@' 开始，
+     *     且遇到空白字符或者运算符时结束。
+     * @returns 返回步骤（step）对象数组
+     */
+    parsePath(inFilter) {
+        let steps = [];
+
+        // 名称路径遇到递归下降 '..' 时结束
+        let isNameEnd = () => {
+            return this.expression.startsWith('..', this.pos) ||
+                (inFilter && filterNameTerminators.includes(this.peek()));
+        };
+
+        let parseNameSteps = () => {
+            steps.push(...this.parseNamePath(isNameEnd, true).segments);
+        };
+
+        if (!inFilter && this.peek() !== '.' && this.peek() !== '[') {
+            // 查询表达式以名称路径开始，比如 'store.books'
+            parseNameSteps();
+        }
+
+        while (!this.isEnd()) {
+            let c = this.peek();
+
+            if (c === '.') {
+                if (this.peek(1) === '.') {
+                    // 递归下降，比如 '..id'，相当于 '**.id'
+                    this.pos += 2;
+                    steps.push({ type: 'recursive-wildcard' });
+                    if (this.peek() !== '[') {
+                        parseNameSteps();
+                    }
+                } else {
+                    this.pos++;
+                    parseNameSteps();
+                }
+
+            } else if (c === '[') {
+                steps.push(this.parseBracketStep());
+
+            } else if (inFilter) {
+                break;
+
+            } else {
+                throw this.syntaxError('"." or "["');
+            }
+        }
+
+        return steps;
+    }
+
+    parseInteger() {
+        let match = /^-?\d+/.exec(this.expression.substring(this.pos));
+        if (match === null) {
+            throw this.syntaxError('integer');
+        }
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    parseBracketStep() {
+        this.pos++; // '['
+        this.skipSpaces();
+
+        let step;
+        let c = this.peek();
+
+        if (c === '?') {
+            // 过滤，比如 '[?(@.price < 10)]'
+            this.pos++;
+            this.skipSpaces();
+            this.expect('(');
+            let filter = this.parseOr();
+            this.skipSpaces();
+            this.expect(')');
+            step = { type: 'filter', filter: filter };
+
+        } else if (c === '*') {
+            this.pos++;
+            step = wildcardStep;
+
+        } else if (c === '\'' || c === '"') {
+            // 属性名称或者属性名称的联合，比如 "['a.b']", "['a', 'b']"
+            let items = [];
+            for (; ;) {
+                c = this.peek();
+                if (c !== '\'' && c !== '"') {
+                    throw this.syntaxError('string');
+                }
+                items.push({ type: 'property', name: this.parseQuotedString() });
+                this.skipSpaces();
+                if (this.peek() !== ',') {
+                    break;
+                }
+                this.pos++;
+                this.skipSpaces();
+            }
+            step = items.length === 1 ? items[0] : { type: 'union', items: items };
+
+        } else {
+            step = this.parseIndexOrSlice();
+        }
+
+        this.skipSpaces();
+        this.expect(']');
+        return step;
+    }
+
+    parseIndexOrSlice() {
+        // 切片的格式为 [start:end:step]，各部分均可省略
+        let parts = [];
+        let colonCount = 0;
+
+        this.skipSpaces();
+        parts.push(this.peek() === ':' ? undefined : this.parseInteger());
+
+        this.skipSpaces();
+        let stepPosition = this.pos;
+        while (this.peek() === ':' && colonCount < 2) {
+            this.pos++;
+            colonCount++;
+            this.skipSpaces();
+            stepPosition = this.pos;
+            let c = this.peek();
+            parts.push((c === ':' || c === ']') ? undefined : this.parseInteger());
+            this.skipSpaces();
+        }
+
+        if (colonCount > 0) {
+            let sliceStep = parts[2] === undefined ? 1 : parts[2];
+            if (sliceStep === 0) {
+                this.pos = stepPosition;
+                throw this.syntaxError('non-zero step');
+            }
+            return { type: 'slice', start: parts[0], end: parts[1], step: sliceStep };
+        }
+
+        // 数组索引或者数组索引的联合，比如 '[0]', '[0, 2]'
+        let items = [{ type: 'index', index: parts[0] }];
+        while (this.peek() === ',') {
+            this.pos++;
+            this.skipSpaces();
+            items.push({ type: 'index', index: this.parseInteger() });
+            this.skipSpaces();
+        }
+
+        return items.length === 1 ? items[0] : { type: 'union', items: items };
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        for (; ;) {
+            this.skipSpaces();
+            if (!this.expression.startsWith('||', this.pos)) {
+                return left;
+            }
+            this.pos += 2;
+            left = { type: 'or', left: left, right: this.parseAnd() };
+        }
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        for (; ;) {
+            this.skipSpaces();
+            if (!this.expression.startsWith('&&', this.pos)) {
+                return left;
+            }
+            this.pos += 2;
+            left = { type: 'and', left: left, right: this.parseUnary() };
+        }
+    }
+
+    parseUnary() {
+        this.skipSpaces();
+        if (this.peek() === '!' && this.peek(1) !== '=') {
+            this.pos++;
+            return { type: 'not', operand: this.parseUnary() };
+        }
+
+        if (this.peek() === '(') {
+            this.pos++;
+            let node = this.parseOr();
+            this.skipSpaces();
+            this.expect(')');
+            return node;
+        }
+
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseOperand();
+
+        this.skipSpaces();
+        let match = /^(==|!=|<=|>=|<|>)/.exec(this.expression.substring(this.pos));
+        if (match === null) {
+            return left;
+        }
+
+        this.pos += match[0].length;
+        let right = this.parseOperand();
+        return { type: 'compare', operator: match[0], left: left, right: right };
+    }
+
+    parseOperand() {
+        this.skipSpaces();
+        let c = this.peek();
+
+        if (c === '@') {
+            this.pos++;
+            return { type: 'path', steps: this.parsePath(true) };
+        }
+
+        if (c === '\'' || c === '"') {
+            return { type: 'literal', value: this.parseQuotedString() };
+        }
+
+        let number = this.parseNumber();
+        if (number !== undefined) {
+            return { type: 'literal', value: number };
+        }
+
+        let keyword = this.parseLiteralKeyword(false);
+        if (keyword !== undefined) {
+            return { type: 'literal', value: keyword.value };
+        }
+
+        throw this.syntaxError('"@", string, number, "true", "false" or "null"');
+    }
+}
+
+/**
+ * 对象的查询工具
+ *
+ * 使用类似 JSONPath 的查询表达式查询对象当中所有匹配的值，查询表达式
+ * 是名称路径（name path）语法的扩展，比如：
+ *
+ * - 'store.books[?(@.price < 10)].title' 查询价格小于 10 的书的书名；
+ * - '..id' 查询对象本身以及所有后代对象的 id 属性。
+ *
+ * 查询表达式由解析器解析并解释执行，不会使用 eval。
+ */
+class ObjectPathQuery {
+
+    /**
+     * 解析查询表达式
+     *
+     * 查询表达式支持如下语法：
+     *
+     * - 'foo.bar'，'foo."a.b"'，'foo[0]'，'foo[-1]'，'foo.*'，'**.name' 等，使用
+     *   ObjectAccessor.parseNamePath 方法解析，即跟名称路径的语法相同，并且支持
+     *   通配模式（比如 'meta_*'），详细见 ObjectAccessor.parseNamePath 方法的说明；
+     * - 'foo[*]' 匹配任意一个属性（或者数组元素），同 'foo.*'；
+     * - '..name'，'..*'，'..[0]'，'**.name' 递归下降，即匹配当前对象本身以及
+     *   所有后代对象的指定属性；
+     * - "foo['a', 'b']"，'foo[0, 2]' 属性名称或者数组索引的联合；
+     * - 'foo[1:3]'，'foo[:2]'，'foo[-2:]'，'foo[::2]' 数组切片，语义跟 Python 的
+     *   切片相同，即 [start:end:step]，不包括 end；
+     * - 'foo[?(expression)]' 过滤，保留 foo 的子元素（或属性值）当中使过滤表达式
+     *   为真的项。
+     *
+     * 过滤表达式支持：
+     *
+     * - '@' 表示当前被过滤的项，'@.price'，"@['a.b']" 表示当前项的属性；
+     * - 字符串（单引号或双引号，两个连续的引号表示一个引号字符）、数字、true、false 和 null；
+     * - 比较运算符 ==，!=，<，<=，>，>=，其中 == 和 != 使用 ObjectUtils.equals
+     *   进行深度比较，大小比较仅当两边同为数字、字符串或者 Date 时才可能为真；
+     * - 布尔运算符 &&，||，! 以及括号；
+     * - 单独的一个值（比如 '[?(@.checked)]'）按 JavaScript 的真值判断。
+     *
+     * 如果查询表达式的语法不正确，则抛出 ExpressionSyntaxError 异常。
+     *
+     * @param {*} expression 查询表达式
+     * @returns 返回步骤（step）对象数组，步骤对象为名称片段对象（详细见
+     *     ObjectAccessor.parseNamePath 方法的说明，其中 '..' 被解析为 '**'），
+     *     或者以下几种：
+     *     - {type: 'union', items: [segment, ...]} 属性名称或者数组索引的联合
+     *     - {type: 'slice', start, end, step} 数组切片
+     *     - {type: 'filter', filter: node} 过滤，node 为过滤表达式的语法树的根节点
+     */
+    static parse(expression) {
+        let parser = new QueryParser(expression);
+        return parser.parseQuery();
+    }
+
+    /**
+     * 编译查询表达式为一个可重复使用的查询对象。
+     *
+     * 编译的结果会被缓存（LRU）。查询对象的结构如下：
+     * {
+     *   expression: String,
+     *   steps: [step, ...],
+     *   query: function(sourceObject) {...}, 同 ObjectPathQuery.query
+     *   queryValues: function(sourceObject) {...}, 同 ObjectPathQuery.queryValues
+     * }
+     *
+     * @param {*} expression 查询表达式，详细见 parse 方法的说明。
+     * @returns 返回查询对象
+     */
+    static compile(expression) {
+        let compiled = compiledCache.get(expression);
+        if (compiled === undefined) {
+            let steps = ObjectPathQuery.parse(expression);
+            compiled = {
+                expression: expression,
+                steps: steps,
+                query: (sourceObject) => {
+                    return ObjectPathQuery._evaluate(sourceObject, steps);
+                },
+                queryValues: (sourceObject) => {
+                    return ObjectPathQuery._evaluate(sourceObject, steps).map(match => match.value);
+                }
+            };
+            compiledCache.set(expression, compiled);
+        }
+        return compiled;
+    }
+
+    /**
+     * 查询对象当中所有匹配的值
+     *
+     * @param {*} sourceObject
+     * @param {*} expression 查询表达式，详细见 parse 方法的说明。
+     * @returns 返回匹配项数组，[{names, value}, ...]，其中 names 是匹配项的
+     *     具体名称路径的名称数组，数组元素为属性名称（String）或者数组索引（Number），
+     *     可以使用 ObjectAccessor.joinNamePath 方法拼接为名称路径字符串。
+     */
+    static query(sourceObject, expression) {
+        return ObjectPathQuery.compile(expression).query(sourceObject);
+    }
+
+    /**
+     * 查询对象当中所有匹配的值
+     *
+     * @param {*} sourceObject
+     * @param {*} expression 查询表达式，详细见 parse 方法的说明。
+     * @returns 返回匹配的值的数组
+     */
+    static queryValues(sourceObject, expression) {
+        return ObjectPathQuery.compile(expression).queryValues(sourceObject);
+    }
+
+    // PRIVATE
+    static _evaluate(sourceObject, steps) {
+        let matches = [];
+        ObjectPathQuery._evaluateSteps(sourceObject, steps, 0, [], matches);
+        return matches;
+    }
+
+    // PRIVATE
+    static _resolveStepKeys(value, step) {
+        // 返回当前步骤匹配的子属性名称（或者数组索引）
+        switch (step.type) {
+            case 'union':
+                {
+                    let keys = [];
+                    for (let item of step.items) {
+                        keys.push(...ObjectAccessor.listSegmentKeys(value, item));
+                    }
+                    return keys;
+                }
+
+            case 'slice':
+                return Array.isArray(value) ?
+                    ObjectPathQuery._resolveSliceIndexes(value.length, step) : [];
+
+            case 'filter':
+                return ObjectAccessor.listSegmentKeys(value, wildcardStep).filter(key => {
+                    return Boolean(ObjectPathQuery._evaluateFilter(value[key], step.filter));
+                });
+        }
+
+        // 名称片段，即属性名称、数组索引和通配符
+        return ObjectAccessor.listSegmentKeys(value, step);
+    }
+
+    // PRIVATE
+    static _resolveSliceIndexes(length, { start, end, step }) {
+        // 跟 Python 的切片语义相同
+        let normalize = (index, defaultValue, min, max) => {
+            if (index === undefined) {
+                return defaultValue;
+            }
+            if (index < 0) {
+                index += length;
+            }
+            return Math.min(Math.max(index, min), max);
+        };
+
+        let indexes = [];
+        if (step > 0) {
+            let from = normalize(start, 0, 0, length);
+            let to = normalize(end, length, 0, length);
+            for (let idx = from; idx < to; idx += step) {
+                indexes.push(idx);
+            }
+        } else {
+            let from = normalize(start, length - 1, -1, length - 1);
+            let to = normalize(end, -1, -1, length - 1);
+            for (let idx = from; idx > to; idx += step) {
+                indexes.push(idx);
+            }
+        }
+
+        return indexes;
+    }
+
+    // PRIVATE
+    static _evaluateSteps(value, steps, stepIdx, names, matches) {
+        if (stepIdx === steps.length) {
+            matches.push({ names: names.slice(), value: value });
+            return;
+        }
+
+        let step = steps[stepIdx];
+
+        if (step.type === 'recursive-wildcard') {
+            // 先匹配当前对象本身，然后匹配所有后代对象
+            ObjectPathQuery._evaluateSteps(value, steps, stepIdx + 1, names, matches);
+
+            for (let key of ObjectAccessor.listSegmentKeys(value, step)) {
+                names.push(key);
+                ObjectPathQuery._evaluateSteps(value[key], steps, stepIdx, names, matches);
+                names.pop();
+            }
+            return;
+        }
+
+        for (let key of ObjectPathQuery._resolveStepKeys(value, step)) {
+            names.push(key);
+            ObjectPathQuery._evaluateSteps(value[key], steps, stepIdx + 1, names, matches);
+            names.pop();
+        }
+    }
+
+    // PRIVATE
+    static _evaluateFilter(value, node) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'path':
+                {
+                    // 取第一个匹配的值
+                    let matches = ObjectPathQuery._evaluate(value, node.steps);
+                    return matches.length > 0 ? matches[0].value : undefined;
+                }
+
+            case 'not':
+                return !ObjectPathQuery._evaluateFilter(value, node.operand);
+
+            case 'and':
+                return Boolean(ObjectPathQuery._evaluateFilter(value, node.left) &&
+                    ObjectPathQuery._evaluateFilter(value, node.right));
+
+            case 'or':
+                return Boolean(ObjectPathQuery._evaluateFilter(value, node.left) ||
+                    ObjectPathQuery._evaluateFilter(value, node.right));
+
+            case 'compare':
+                return ValueUtils.compare(
+                    ObjectPathQuery._evaluateFilter(value, node.left),
+                    node.operator,
+                    ObjectPathQuery._evaluateFilter(value, node.right));
+        }
+    }
+}
+
+module.exports = ObjectPathQuery;
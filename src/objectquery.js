@@ -0,0 +1,235 @@
+const ObjectComposer = require('./objectcomposer');
+const ObjectFilter = require('./objectfilter');
+const ObjectMatcher = require('./objectmatcher');
+const ObjectSorter = require('./objectsorter');
+
+/**
+ * 对象数组的查询，组合过滤、排序、重组对象以及分页，比如：
+ *
+ * let page = ObjectQuery.from(users)
+ *     .where('age >= 18')
+ *     .orderBy('name DESC')
+ *     .select('id, name')
+ *     .offset(20)
+ *     .limit(10)
+ *     .toArray();
+ *
+ * - 查询是惰性的，只有在调用 toArray, first 或者 count 方法时才会执行，
+ *   同一个查询对象可以多次执行；
+ * - 除 from 以外的方法都返回一个新的查询对象，原查询对象不会被修改，所以可以在
+ *   一个基础查询之上构造多个不同的查询（比如不同的分页）；
+ * - 执行查询不会修改原数组，也不会修改数组里的项目对象。
+ */
+class ObjectQuery {
+
+    /**
+     * 构造一个新的查询对象，一般使用 ObjectQuery.from 方法。
+     *
+     * @param {*} itemObjects 对象数组
+     */
+    constructor(itemObjects) {
+        this.itemObjects = itemObjects;
+        this.predicates = [];
+        this.orderFields = [];
+        this.fields = undefined;
+        this.offsetCount = 0;
+        this.limitCount = undefined;
+    }
+
+    /**
+     * 创建一个查询对象
+     *
+     * @param {*} itemObjects 对象数组
+     * @returns 返回 ObjectQuery 对象
+     */
+    static from(itemObjects) {
+        if (!Array.isArray(itemObjects)) {
+            throw new TypeError('The item objects should be an array.');
+        }
+
+        return new ObjectQuery(itemObjects);
+    }
+
+    /**
+     * 添加过滤条件
+     *
+     * 过滤条件可以是：
+     * - 过滤表达式字符串，比如 'age >= 18 AND addr.city IN ("SZ", "GZ")'，
+     *   详细语法见 ObjectFilter.parse 方法的说明；
+     * - 查询对象，比如 {age: {$gte: 18}}，详细见 ObjectMatcher.compile 方法的说明；
+     * - 判断函数 (itemObject) => Boolean。
+     *
+     * 多次调用时各个过滤条件之间为 “与” 的关系。过滤条件会被立即编译，所以语法
+     * 错误会在此时抛出异常。
+     *
+     * @param {*} condition 过滤条件
+     * @returns 返回新的 ObjectQuery 对象
+     */
+    where(condition) {
+        let predicate;
+        if (typeof condition === 'function') {
+            predicate = condition;
+        } else if (typeof condition === 'string') {
+            predicate = ObjectFilter.compile(condition);
+        } else if (condition !== null && typeof condition === 'object') {
+            predicate = ObjectMatcher.compile(condition);
+        } else {
+            throw new TypeError('The condition should be a filter expression, a query object or a function.');
+        }
+
+        let query = this._clone();
+        query.predicates = this.predicates.concat([predicate]);
+        return query;
+    }
+
+    /**
+     * 设置排序条件
+     *
+     * 多次调用时以最后一次的排序条件为准。排序是稳定的，即排序字段的值都相等的
+     * 项目对象保持原有的顺序。
+     *
+     * @param {*} orderExpressionOrFields 排序表达式（详细语法见 ObjectSorter.parseOrderExpression
+     *     方法的说明），或者 OrderField 对象数组。排序表达式使用严格模式解析，
+     *     如果语法不正确则抛出 ExpressionSyntaxError 异常。
+     * @returns 返回新的 ObjectQuery 对象
+     */
+    orderBy(orderExpressionOrFields) {
+        let orderFields = Array.isArray(orderExpressionOrFields) ?
+            orderExpressionOrFields : ObjectSorter.parseOrderExpression(orderExpressionOrFields, true);
+
+        let query = this._clone();
+        query.orderFields = orderFields;
+        return query;
+    }
+
+    /**
+     * 设置结果对象的属性
+     *
+     * 多次调用时以最后一次为准。
+     *
+     * @param {*} fields 属性名称序列字符串（详细见 ObjectComposer.composeByProperityNameSequence
+     *     方法的说明）、属性名称数组或者字段说明对象（详细见 ObjectComposer.compose 方法的说明）。
+     * @returns 返回新的 ObjectQuery 对象
+     */
+    select(fields) {
+        let query = this._clone();
+        query.fields = fields;
+        return query;
+    }
+
+    /**
+     * 设置跳过的项目对象的数量
+     *
+     * @param {*} count 非负整数，如果不是整数则抛出 TypeError 异常，如果是负数
+     *     则抛出 RangeError 异常。
+     * @returns 返回新的 ObjectQuery 对象
+     */
+    offset(count) {
+        ObjectSorter._checkCount('offset', count);
+
+        let query = this._clone();
+        query.offsetCount = count;
+        return query;
+    }
+
+    /**
+     * 设置结果的最大数量
+     *
+     * @param {*} count 非负整数，要求跟 offset 方法的相同
+     * @returns 返回新的 ObjectQuery 对象
+     */
+    limit(count) {
+        ObjectSorter._checkCount('limit', count);
+
+        let query = this._clone();
+        query.limitCount = count;
+        return query;
+    }
+
+    /**
+     * 执行查询
+     *
+     * 执行的顺序为：过滤、排序、分页，最后重组对象，所以过滤和排序条件使用的是
+     * 原项目对象的属性，而不是 select 之后的属性。
+     *
+     * - 有排序条件且指定了 limit 时，使用 ObjectSorter.sortPage 只部分排序；
+     * - 没有排序条件且指定了 limit 时，过滤到足够数量的项目对象后即停止。
+     *
+     * @returns 返回结果对象的新数组
+     */
+    toArray() {
+        let offset = this.offsetCount;
+        let limit = this.limitCount;
+        let hasOrder = this.orderFields.length > 0;
+
+        let maxCount = (limit === undefined || hasOrder) ? Infinity : offset + limit;
+        let itemObjects = this._filterItems(maxCount);
+
+        if (hasOrder) {
+            itemObjects = (limit === undefined) ?
+                ObjectSorter.sortedCopy(itemObjects, this.orderFields).slice(offset) :
+                ObjectSorter.sortPage(itemObjects, this.orderFields, offset, limit);
+        } else {
+            itemObjects = itemObjects.slice(offset, limit === undefined ? undefined : offset + limit);
+        }
+
+        if (this.fields !== undefined) {
+            itemObjects = ObjectComposer.composeArray(itemObjects, this.fields);
+        }
+
+        return itemObjects;
+    }
+
+    /**
+     * 执行查询并返回第一个结果对象
+     *
+     * @returns 返回结果对象，如果没有结果则返回 undefined
+     */
+    first() {
+        return this.limit(1).toArray()[0];
+    }
+
+    /**
+     * 统计满足过滤条件的项目对象的数量
+     *
+     * 不受 offset 和 limit 的影响，可以用于计算分页的总数。
+     *
+     * @returns 返回数量
+     */
+    count() {
+        return this._filterItems(Infinity).length;
+    }
+
+    // PRIVATE
+    _clone() {
+        let query = new ObjectQuery(this.itemObjects);
+        query.predicates = this.predicates;
+        query.orderFields = this.orderFields;
+        query.fields = this.fields;
+        query.offsetCount = this.offsetCount;
+        query.limitCount = this.limitCount;
+        return query;
+    }
+
+    // PRIVATE
+    _filterItems(maxCount) {
+        let predicates = this.predicates;
+        if (predicates.length === 0) {
+            return this.itemObjects;
+        }
+
+        let matchedItems = [];
+        for (let itemObject of this.itemObjects) {
+            if (matchedItems.length >= maxCount) {
+                break;
+            }
+
+            if (predicates.every(predicate => predicate(itemObject))) {
+                matchedItems.push(itemObject);
+            }
+        }
+        return matchedItems;
+    }
+}
+
+module.exports = ObjectQuery;
@@ -1,6 +1,76 @@
+const ExpressionSyntaxError = require('./expressionsyntaxerror');
+const LRUCache = require('./lrucache');
 const ObjectAccessor = require('./objectaccessor');
 const OrderField = require('./orderfield');
 
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+// Intl.Collator 对象的创建成本较高，所以缓存起来重复使用
+const collatorCache = new LRUCache(100);
+
+// 默认的空值（undefined 和 null）排序位置，详细见 setDefaultNullsOrder 方法
+let defaultNullsOrder = null;
+
+// 命名的比较函数，用于排序表达式的 USING 子句，key 为小写的名称
+const namedComparators = new Map();
+
+// 按值类型的比较函数，key 为 typeof 运算的结果字符串或者构造函数（类）
+const typeComparators = new Map();
+
+// 按名称路径的比较函数，value 为比较函数或者命名比较函数的名称
+const fieldComparators = new Map();
+
+// compareObject 方法使用的比较函数，key 为 OrderField 对象数组的 JSON 字符串，
+// 即按排序字段的值（而不是对象）缓存。比较函数在创建时即确定了默认的空值排序位置
+// 以及注册的比较函数，所以当这些设置改变时需要清空
+const objectComparatorCache = new LRUCache(100);
+
+// 排序表达式可以使用的函数，key 为大写的函数名称
+const orderFunctions = {
+    // 字符串或者数组的长度，其他类型的值返回 undefined
+    LENGTH: {
+        minArgs: 1, maxArgs: 1,
+        evaluate: (value) => {
+            return (typeof value === 'string' || Array.isArray(value)) ? value.length : undefined;
+        }
+    },
+
+    // 以下函数对于其他类型的值，返回原值
+    LOWER: {
+        minArgs: 1, maxArgs: 1,
+        evaluate: (value) => (typeof value === 'string') ? value.toLowerCase() : value
+    },
+    UPPER: {
+        minArgs: 1, maxArgs: 1,
+        evaluate: (value) => (typeof value === 'string') ? value.toUpperCase() : value
+    },
+    TRIM: {
+        minArgs: 1, maxArgs: 1,
+        evaluate: (value) => (typeof value === 'string') ? value.trim() : value
+    },
+    ABS: {
+        minArgs: 1, maxArgs: 1,
+        evaluate: (value) => {
+            if (typeof value === 'number') {
+                return Math.abs(value);
+            } else if (typeof value === 'bigint') {
+                return value < 0n ? -value : value;
+            } else {
+                return value;
+            }
+        }
+    },
+
+    // 返回第一个非空（即不是 undefined 也不是 null）的值，如果全部为空，则返回最后一个值
+    COALESCE: {
+        minArgs: 1, maxArgs: Infinity,
+        evaluate: (...values) => {
+            let value = values.find(value => value !== undefined && value !== null);
+            return value !== undefined ? value : values[values.length - 1];
+        }
+    }
+};
+
 /**
  * 对对象数组按对象的指定属性进行排序
  */
@@ -26,35 +96,79 @@ class ObjectSorter {
      * - 每个属性后面都可以添加 'DESC' 后缀，表示该属性值按 “倒序” 排序，比如：
      *   'meta.flag, creationTime DESC, name'
      *   上面表达式表示先按 'meta.flag' 正序排序，然后按 'creationTime' 倒序排序，最后
-     *   按 'name' 正序排序。
+     *   按 'name' 正序排序。也可以添加 'ASC' 后缀，表示按 “正序” 排序（默认）。
+     *
+     * - 每个属性后面还可以添加以下字符串比较修饰符（不区分大小写），修饰符之间
+     *   以及修饰符与 'DESC' 之间的顺序不限：
+     *   - NOCASE，忽略大小写，比如 'a' 与 'A' 相等；
+     *   - NATURAL，按 “自然顺序” 比较字符串当中的数字，比如 'file2' 排在 'file10' 之前；
+     *   - COLLATE <locale>，按指定区域语言的规则比较，比如 'COLLATE de'。
+     *   比如：
+     *   'name NATURAL, title NOCASE DESC, city COLLATE de'
+     *   指定了任何一个修饰符的属性，其字符串值使用 Intl.Collator 比较。
+     *
+     * - 每个属性后面还可以添加 'NULLS FIRST' 或者 'NULLS LAST'，表示空值（undefined
+     *   和 null）总是排在最前面或者最后面，不受排序方向的影响，比如：
+     *   'dueDate DESC NULLS LAST'
+     *   如果不指定，则使用默认的空值位置，详细见 setDefaultNullsOrder 方法。
+     *
+     * - 每个属性后面还可以添加 'USING <name>'，表示使用指定名称的比较函数比较属性值，
+     *   比如：
+     *   'version USING semver DESC'
+     *   内置的比较函数有 'semver' 和 'decimal'，也可以通过 registerComparator 方法
+     *   注册新的比较函数。如果名称未注册，则抛出 RangeError 异常。
+     *
+     * - 属性名称的位置也可以是一个函数表达式，函数的参数为名称路径或者另一个函数表达式，
+     *   函数名称不区分大小写，比如：
+     *   'LENGTH(tags) DESC, LOWER(name), COALESCE(nick, name)'
+     *   支持的函数有：
+     *   - LENGTH(path)，字符串或者数组的长度；
+     *   - LOWER(path), UPPER(path), TRIM(path)，转换字符串；
+     *   - ABS(path)，数值的绝对值；
+     *   - COALESCE(path1, path2, ...)，第一个非空（不是 undefined 也不是 null）的值。
+     *   如果名称里含有圆括号，则需要使用引号包括起来。
+     *
+     * - 所有关键字（比如 'DESC', 'NULLS LAST'）以及函数名称都不区分大小写。
+     *
+     * 默认情况下如果表达式有语法错误（比如未知的修饰符或函数），则返回空数组。
+     * 在严格模式下则会抛出 ExpressionSyntaxError 异常。
      *
      * @param {*} orderExpression 一个字符串，排序条件表达式。格式是以逗号分隔，
      *     拼接各个待排序的（项目对象的）属性名称。
+     * @param {*} strict 是否使用严格模式，默认为 false
      * @returns 返回 OrderField 对象数组，[OrderField, ...]
      */
-    static parseOrderExpression(orderExpression) {
+    static parseOrderExpression(orderExpression, strict = false) {
         let orderFields = [];
 
         if (orderExpression === '') {
             return orderFields;
         }
 
-        let nameAscendingPairs = []; // [{name: String, ascending: String}, ...]
+        let syntaxError = (position, expected) => {
+            return new ExpressionSyntaxError(orderExpression, position, expected);
+        };
+
+        let nameModifiersPairs = []; // [{name: String, modifiers: String, expression: Object, ...}, ...]
         let nameBuffer = [];
-        let ascendingBuffer = [];
+        let modifiersBuffer = [];
+        let modifiersPosition = -1; // 第一个修饰符的位置，用于报告语法错误的位置
+        let expression = null;
         let state = 'expect-name-start';
 
         let resetBuffer = ()=>{
             nameBuffer = [];
-            ascendingBuffer = [];
+            modifiersBuffer = [];
+            modifiersPosition = -1;
+            expression = null;
         };
 
-        let appendNameAscendingPair = () => {
+        let appendNameModifiersPair = (endPosition) => {
             let name = nameBuffer.join('');
-            let ascending = ascendingBuffer.join('');
+            let modifiers = modifiersBuffer.join('');
             name = name.trim();
-            ascending = ascending.trim();
-            nameAscendingPairs.push({ name, ascending });
+            modifiers = modifiers.trim();
+            nameModifiersPairs.push({ name, modifiers, expression, modifiersPosition, endPosition });
 
             resetBuffer();
         };
@@ -67,6 +181,8 @@ class ObjectSorter {
                     {
                         if (c === ' ') {
                             continue;
+                        } else if (strict && c === ',') {
+                            throw syntaxError(idx, 'name');
                         } else
                             if (c === '"') {
                                 // resetBuffer();
@@ -86,7 +202,7 @@ class ObjectSorter {
                     {
                         if (c === '"') {
                             // 当前是双引号结束, nameBuffer 已经完成
-                            state = 'expect-ascending-start';
+                            state = 'expect-modifiers-start';
                         } else {
                             nameBuffer.push(c);
                         }
@@ -103,7 +219,7 @@ class ObjectSorter {
                                 idx += 1;
                             } else {
                                 // 当前是单引号结束，nameBuffer 已完成
-                                state = 'expect-ascending-start';
+                                state = 'expect-modifiers-start';
                             }
                         } else {
                             nameBuffer.push(c);
@@ -115,13 +231,28 @@ class ObjectSorter {
                     {
                         if (c === ',') {
                             // 当前是单个属性结束
-                            appendNameAscendingPair();
+                            appendNameModifiersPair(idx);
 
                             // 开始下一个属性
                             state = 'expect-name-start';
                         } else if (c === ' ') {
-                            // 当前是遇到属性名称和排序方向关键字 'DESC' 之间的空格，nameBuffer 已完成
-                            state = 'expect-ascending-start';
+                            // 当前是遇到属性名称和修饰符（比如 'DESC'）之间的空格，nameBuffer 已完成
+                            state = 'expect-modifiers-start';
+
+                        } else if (c === '(' && /^[A-Za-z_]\w*$/.test(nameBuffer.join(''))) {
+                            // 当前是函数表达式，比如 'LOWER(name)'
+                            let result = ObjectSorter._parseFunctionCall(
+                                orderExpression, idx, nameBuffer.join(''), strict);
+
+                            if (result === null) {
+                                // 语法错误
+                                return orderFields;
+                            }
+
+                            expression = result.expression;
+                            nameBuffer = [ObjectSorter._formatFunctionCall(expression)];
+                            idx = result.endIndex;
+                            state = 'expect-modifiers-start';
 
                         } else {
                             nameBuffer.push(c);
@@ -129,39 +260,37 @@ class ObjectSorter {
                         break;
                     }
 
-                case 'expect-ascending-start':
+                case 'expect-modifiers-start':
                     {
                         if (c === ' ') {
                             continue;
                         }else if (c === ',') {
                             // 当前是单个属性结束
-                            appendNameAscendingPair();
+                            appendNameModifiersPair(idx);
 
                             // 开始下一个属性
                             state = 'expect-name-start';
 
                         }else {
-                            ascendingBuffer.push(c);
-                            state = 'expect-ascending-end';
+                            modifiersBuffer.push(c);
+                            modifiersPosition = idx;
+                            state = 'expect-modifiers-end';
                         }
                         break;
                     }
 
-                case 'expect-ascending-end':
+                case 'expect-modifiers-end':
                     {
                         if (c === ',') {
                             // 当前是单个属性结束
-                            appendNameAscendingPair();
+                            appendNameModifiersPair(idx);
 
                             // 开始下一个属性
                             state = 'expect-name-start';
 
-                        } else if ('desc'.indexOf(c.toLowerCase()) >= 0) {
-                            ascendingBuffer.push(c);
-
                         } else {
-                            // 语法错误
-                            return orderFields;
+                            // 修饰符留待最后再解析
+                            modifiersBuffer.push(c);
                         }
                         break;
                     }
@@ -171,19 +300,34 @@ class ObjectSorter {
         if (state === 'expect-name-end' ||
             state === 'expect-double-quote-end' ||
             state === 'expect-single-quote-end' ||
-            state === 'expect-ascending-start' ||
-            state === 'expect-ascending-end') {
+            state === 'expect-modifiers-start' ||
+            state === 'expect-modifiers-end') {
             if (nameBuffer.length > 0) {
-                appendNameAscendingPair();
+                appendNameModifiersPair(orderExpression.length);
             }
         }
 
-        for(let nameAscendingPair of nameAscendingPairs) {
-            let orderField;
-            if (nameAscendingPair.ascending.toLowerCase() === 'desc') {
-                orderField = new OrderField(nameAscendingPair.name, false);
-            }else {
-                orderField = new OrderField(nameAscendingPair.name, true);
+        if (strict) {
+            switch (state) {
+                case 'expect-name-start':
+                    if (nameModifiersPairs.length > 0) {
+                        // 表达式以逗号结尾
+                        throw syntaxError(orderExpression.length, 'name');
+                    }
+                    break;
+                case 'expect-double-quote-end':
+                    throw syntaxError(orderExpression.length, '\'"\'');
+                case 'expect-single-quote-end':
+                    throw syntaxError(orderExpression.length, '"\'"');
+            }
+        }
+
+        for(let nameModifiersPair of nameModifiersPairs) {
+            let orderField = ObjectSorter._createOrderField(orderExpression, nameModifiersPair, strict);
+
+            if (orderField === null) {
+                // 语法错误
+                return [];
             }
 
             orderFields.push(orderField);
@@ -192,6 +336,97 @@ class ObjectSorter {
         return orderFields;
     }
 
+    /**
+     * 检查排序表达式的语法是否正确。
+     *
+     * 供 UI 等在保存用户输入的排序表达式之前检查使用。
+     *
+     * 注：如果表达式使用了未注册的比较函数（USING 子句），则仍然会抛出 RangeError 异常。
+     *
+     * @param {*} orderExpression
+     * @returns 返回 {valid: Boolean, error: ExpressionSyntaxError}，当语法正确时
+     *     error 的值为 undefined。
+     */
+    static validateOrderExpression(orderExpression) {
+        try {
+            ObjectSorter.parseOrderExpression(orderExpression, true);
+            return { valid: true, error: undefined };
+        } catch (e) {
+            if (e instanceof ExpressionSyntaxError) {
+                return { valid: false, error: e };
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * 将一组排序字段对象转换为排序表达式
+     *
+     * 即 parseOrderExpression 方法的逆操作，结果可以再次被 parseOrderExpression 方法
+     * 解析为相同的排序字段对象。属性名称在必要时会使用单引号包括起来，比如：
+     * [new OrderField('file name', false, {isNaturalOrder: true})] 转换为
+     * "'file name' DESC NATURAL"
+     *
+     * @param {*} orderFields OrderField 对象数组
+     * @returns 返回排序表达式字符串
+     */
+    static toOrderExpression(orderFields) {
+        return orderFields.map(orderField => ObjectSorter._formatOrderField(orderField)).join(', ');
+    }
+
+    /**
+     * 检查排序字段对象的各个属性是否有效
+     *
+     * 用于检查不是由 parseOrderExpression 方法创建的排序字段对象，比如从 URL 等
+     * 不可信的来源还原的对象（详细见 OrderField.fromJSON 方法），以免到排序时才出错。
+     *
+     * - 当属性的类型不正确时，抛出 TypeError 异常；
+     * - 当 locale 不是有效的语言标签，nullsOrder 不是 null, 'first' 或 'last'，
+     *   函数表达式使用了未知的函数或者参数的数量不正确，fieldName 跟函数表达式
+     *   不一致（函数表达式的 fieldName 应为其文本，比如 'LOWER(name)'），或者使用了
+     *   未注册的比较函数时，抛出 RangeError 异常。
+     *
+     * @param {*} orderField OrderField 对象
+     */
+    static checkOrderField(orderField) {
+        let checkType = (name, isValid, expected) => {
+            if (!isValid) {
+                throw new TypeError('Invalid order field, "' + name + '" should be ' + expected + '.');
+            }
+        };
+
+        checkType('fieldName', typeof orderField.fieldName === 'string', 'a string');
+        checkType('isAscendingOrder', typeof orderField.isAscendingOrder === 'boolean', 'a boolean');
+        checkType('locale', orderField.locale === null || typeof orderField.locale === 'string', 'a string or null');
+        checkType('isCaseInsensitive', typeof orderField.isCaseInsensitive === 'boolean', 'a boolean');
+        checkType('isNaturalOrder', typeof orderField.isNaturalOrder === 'boolean', 'a boolean');
+        checkType('comparatorName',
+            orderField.comparatorName === null || typeof orderField.comparatorName === 'string', 'a string or null');
+
+        if (orderField.locale !== null && !ObjectSorter._isValidLocale(orderField.locale)) {
+            throw new RangeError('Invalid locale "' + orderField.locale + '".');
+        }
+
+        if (![null, 'first', 'last'].includes(orderField.nullsOrder)) {
+            throw new RangeError('Invalid nulls order "' + orderField.nullsOrder + '".');
+        }
+
+        if (orderField.comparatorName !== null) {
+            ObjectSorter._getNamedComparator(orderField.comparatorName);
+        }
+
+        if (orderField.expression !== null) {
+            ObjectSorter._checkFunctionExpression(orderField.expression);
+
+            // 函数表达式的 fieldName 是其排序表达式文本，也用于查找按名称路径的比较函数
+            let text = ObjectSorter._formatFunctionCall(orderField.expression);
+            if (orderField.fieldName !== text) {
+                throw new RangeError('The field name "' + orderField.fieldName +
+                    '" does not match the expression "' + text + '".');
+            }
+        }
+    }
+
     /**
      * 排序对象数组
      *
@@ -203,9 +438,206 @@ class ObjectSorter {
      * @param {*} itemObjectMapFunc
      */
     static sort(itemObjects, orderFields) {
-        itemObjects.sort((leftItemObject, rightItemObject) => {
-            return ObjectSorter.compareObject(leftItemObject, rightItemObject, orderFields);
+        itemObjects.sort(ObjectSorter.createComparator(orderFields));
+    }
+
+    /**
+     * 排序对象数组，返回一个新的数组，原数组不会被修改
+     *
+     * 与 sort 方法不同，此方法会预先为每一个项目对象提取一次排序字段的值，
+     * 然后再排序（即 decorate-sort-undecorate），以避免每次比较时都要重新
+     * 获取名称路径的值或者计算函数表达式，适用于按较深的名称路径排序大数组。
+     *
+     * 排序是稳定的，即排序字段的值都相等的项目对象保持原有的顺序。
+     *
+     * @param {*} itemObjects
+     * @param {*} orderExpressionOrFields 排序表达式（详细语法见 parseOrderExpression 方法），
+     *     或者 OrderField 对象数组。
+     * @returns 返回排序后的新数组
+     */
+    static sortedCopy(itemObjects, orderExpressionOrFields) {
+        let orderFields = ObjectSorter._toOrderFields(orderExpressionOrFields);
+        let decorate = ObjectSorter._createDecorator(orderFields);
+        let decoratedItems = itemObjects.map(decorate);
+
+        decoratedItems.sort(ObjectSorter._createDecoratedComparator(orderFields));
+
+        return decoratedItems.map(decoratedItem => decoratedItem.itemObject);
+    }
+
+    /**
+     * 获取排序后的前 k 个项目对象，原数组不会被修改
+     *
+     * 使用堆（heap）只保留前 k 个项目对象，而不需要排序整个数组，适用于只需要显示
+     * 大数组的前面部分的情况。结果与 sortedCopy 方法的结果的前 k 个相同（包括排序
+     * 字段的值都相等时的先后顺序）。
+     *
+     * @param {*} itemObjects
+     * @param {*} orderExpressionOrFields 排序表达式（详细语法见 parseOrderExpression 方法），
+     *     或者 OrderField 对象数组。
+     * @param {*} k 项目对象的数量，非负整数。如果不是整数则抛出 TypeError 异常，
+     *     如果是负数则抛出 RangeError 异常。
+     * @returns 返回排序后的前 k 个项目对象的新数组
+     */
+    static topK(itemObjects, orderExpressionOrFields, k) {
+        ObjectSorter._checkCount('k', k);
+        return ObjectSorter.sortPage(itemObjects, orderExpressionOrFields, 0, k);
+    }
+
+    /**
+     * 获取排序后的指定一页的项目对象，原数组不会被修改
+     *
+     * 结果与 sortedCopy(itemObjects, orderExpressionOrFields).slice(offset, offset + limit)
+     * 相同，但只需要部分排序，详细见 topK 方法。
+     *
+     * @param {*} itemObjects
+     * @param {*} orderExpressionOrFields 排序表达式或者 OrderField 对象数组
+     * @param {*} offset 跳过的项目对象的数量，非负整数，要求跟 topK 方法的 k 相同
+     * @param {*} limit 项目对象的最大数量，非负整数，要求跟 topK 方法的 k 相同
+     * @returns 返回排序后的指定一页的项目对象的新数组
+     */
+    static sortPage(itemObjects, orderExpressionOrFields, offset, limit) {
+        ObjectSorter._checkCount('offset', offset);
+        ObjectSorter._checkCount('limit', limit);
+
+        let count = offset + limit;
+
+        if (limit <= 0 || offset >= itemObjects.length) {
+            return [];
+        }
+
+        if (count >= itemObjects.length) {
+            // 需要的项目对象已经包括数组的末尾，直接完整排序
+            return ObjectSorter.sortedCopy(itemObjects, orderExpressionOrFields).slice(offset, count);
+        }
+
+        let orderFields = ObjectSorter._toOrderFields(orderExpressionOrFields);
+        let decorate = ObjectSorter._createDecorator(orderFields);
+        let compare = ObjectSorter._createDecoratedComparator(orderFields);
+
+        // 最大堆，堆顶为当前保留的项目对象当中最大的一个
+        let heap = [];
+
+        for (let index = 0; index < itemObjects.length; index++) {
+            let decoratedItem = decorate(itemObjects[index], index);
+
+            if (heap.length < count) {
+                heap.push(decoratedItem);
+                ObjectSorter._siftUp(heap, heap.length - 1, compare);
+            } else if (compare(decoratedItem, heap[0]) < 0) {
+                heap[0] = decoratedItem;
+                ObjectSorter._siftDown(heap, 0, compare);
+            }
+        }
+
+        heap.sort(compare);
+        return heap.slice(offset).map(decoratedItem => decoratedItem.itemObject);
+    }
+
+    /**
+     * 创建一个比较函数
+     *
+     * 比较函数可以用于 Array.prototype.sort 方法或者其他需要比较函数的容器，
+     * 比较结果与 compareObject 方法一致。
+     *
+     * @param {*} orderExpressionOrFields 排序表达式（详细语法见 parseOrderExpression 方法），
+     *     或者 OrderField 对象数组。
+     * @returns 返回比较函数 (leftItemObject, rightItemObject) => Number，
+     *     返回值为 -1, 0, 1。
+     */
+    static createComparator(orderExpressionOrFields) {
+        let orderFields = ObjectSorter._toOrderFields(orderExpressionOrFields);
+
+        // 预先编译各个排序字段的取值函数和比较函数，以避免每次比较时都要重新查找
+        let getters = orderFields.map(orderField => {
+            return ObjectSorter._createGetter(orderField);
         });
+
+        let comparators = orderFields.map(orderField => {
+            return ObjectSorter._createFieldComparator(orderField);
+        });
+
+        return (leftItemObject, rightItemObject) => {
+            for (let idx = 0; idx < getters.length; idx++) {
+                let getter = getters[idx];
+                let fieldResult = comparators[idx](
+                    getter(leftItemObject), getter(rightItemObject));
+
+                if (fieldResult !== 0) {
+                    return fieldResult;
+                }
+            }
+
+            return 0;
+        };
+    }
+
+    /**
+     * 在已排序的对象数组里查找第一个不小于指定项目对象的位置
+     *
+     * 即第一个比较结果大于或等于 0 的位置，数组必须已经按相同的排序条件排好序。
+     *
+     * @param {*} itemObjects 已排序的对象数组
+     * @param {*} itemObject 待查找的项目对象，只需包含排序字段的属性
+     * @param {*} orderExpressionOrFields 排序表达式（详细语法见 parseOrderExpression 方法），
+     *     或者 OrderField 对象数组。
+     * @returns 返回位置索引，如果所有项目对象都小于指定项目对象，则返回数组的长度
+     */
+    static lowerBound(itemObjects, itemObject, orderExpressionOrFields) {
+        let comparator = ObjectSorter.createComparator(orderExpressionOrFields);
+        return ObjectSorter._binarySearch(itemObjects, item => comparator(item, itemObject) < 0);
+    }
+
+    /**
+     * 在已排序的对象数组里查找第一个大于指定项目对象的位置
+     *
+     * 即第一个比较结果大于 0 的位置，数组必须已经按相同的排序条件排好序。
+     *
+     * @param {*} itemObjects 已排序的对象数组
+     * @param {*} itemObject 待查找的项目对象，只需包含排序字段的属性
+     * @param {*} orderExpressionOrFields 排序表达式或者 OrderField 对象数组
+     * @returns 返回位置索引，如果所有项目对象都不大于指定项目对象，则返回数组的长度
+     */
+    static upperBound(itemObjects, itemObject, orderExpressionOrFields) {
+        let comparator = ObjectSorter.createComparator(orderExpressionOrFields);
+        return ObjectSorter._binarySearch(itemObjects, item => comparator(item, itemObject) <= 0);
+    }
+
+    /**
+     * 在已排序的对象数组里查找与指定项目对象相等（即排序字段的值都相等）的
+     * 第一个项目对象的位置
+     *
+     * @param {*} itemObjects 已排序的对象数组
+     * @param {*} itemObject 待查找的项目对象，只需包含排序字段的属性
+     * @param {*} orderExpressionOrFields 排序表达式或者 OrderField 对象数组
+     * @returns 返回位置索引，如果找不到则返回 -1
+     */
+    static indexOfSorted(itemObjects, itemObject, orderExpressionOrFields) {
+        let comparator = ObjectSorter.createComparator(orderExpressionOrFields);
+        let index = ObjectSorter._binarySearch(itemObjects, item => comparator(item, itemObject) < 0);
+
+        if (index < itemObjects.length && comparator(itemObjects[index], itemObject) === 0) {
+            return index;
+        }
+
+        return -1;
+    }
+
+    /**
+     * 将项目对象插入到已排序的对象数组的正确位置
+     *
+     * 如果数组里已经有相等的项目对象，则插入到它们的后面，即与 sort 方法的
+     * 稳定排序结果一致。插入操作直接在原数组上实现。
+     *
+     * @param {*} itemObjects 已排序的对象数组
+     * @param {*} itemObject 待插入的项目对象
+     * @param {*} orderExpressionOrFields 排序表达式或者 OrderField 对象数组
+     * @returns 返回插入的位置索引
+     */
+    static insertSorted(itemObjects, itemObject, orderExpressionOrFields) {
+        let index = ObjectSorter.upperBound(itemObjects, itemObject, orderExpressionOrFields);
+        itemObjects.splice(index, 0, itemObject);
+        return index;
     }
 
     /**
@@ -224,6 +656,9 @@ class ObjectSorter {
     /**
      * 根据一组条件对象比较两个项目对象。
      *
+     * 比较函数（详细见 createComparator 方法）按排序字段的值缓存，所以使用相同的
+     * 排序条件多次比较时不会重复创建。
+     *
      * @param {*} leftItemObject
      * @param {*} rightItemObject
      * @param {*} orderFields
@@ -233,41 +668,678 @@ class ObjectSorter {
      *     - 当左边大于右边时返回 1
      */
     static compareObject(leftItemObject, rightItemObject, orderFields) {
-        let result = 0;
+        let key = JSON.stringify(orderFields);
+        let comparator = objectComparatorCache.get(key);
 
-        for (let { fieldName, isAscendingOrder } of orderFields) {
-            let fieldResult = ObjectSorter.compareField(leftItemObject, rightItemObject, fieldName);
-
-            if (fieldResult === 0) {
-                // 分不出高低，所以继续检查下一个条件
-            } else {
-                if (isAscendingOrder) {
-                    result = fieldResult;
-                } else {
-                    result = -fieldResult;
-                }
-                break;
-            }
+        if (comparator === undefined) {
+            comparator = ObjectSorter.createComparator(orderFields);
+            objectComparatorCache.set(key, comparator);
         }
 
-        return result;
+        return comparator(leftItemObject, rightItemObject);
     }
 
     /**
      * 比较两个项目对象指定属性（或名称路径 name path）的值的大小
      *
+     * 注：比较结果不考虑 OrderField 的排序方向以及空值位置（NULLS FIRST/LAST），
+     * 空值总是小于其他值，且 undefined 小于 null。
+     *
      * @param {*} leftItemObject
      * @param {*} rightItemObject
-     * @param {*} namePath
+     * @param {*} namePath 名称路径字符串，或者 OrderField 对象（此时会使用
+     *     OrderField 的函数表达式、字符串比较选项以及 USING 比较函数）。
      * @returns 返回 -1, 0, 1。
      *     - 当左边小于右边时返回 -1
      *     - 当左边等于右边时返回 0
      *     - 当左边大于右边时返回 1
      */
     static compareField(leftItemObject, rightItemObject, namePath) {
-        let leftValue = ObjectAccessor.getPropertyValueByNamePath(leftItemObject, namePath);
-        let rightValue = ObjectAccessor.getPropertyValueByNamePath(rightItemObject, namePath);
+        let orderField = (typeof namePath === 'string') ? new OrderField(namePath) : namePath;
+        let getter = ObjectSorter._createGetter(orderField);
+        let comparator = ObjectSorter._createValueComparator(orderField);
+        return comparator(getter(leftItemObject), getter(rightItemObject));
+    }
+
+    /**
+     * 设置默认的空值（undefined 和 null）排序位置
+     *
+     * 用于没有指定 NULLS FIRST 或者 NULLS LAST 的排序字段。
+     *
+     * @param {*} nullsOrder 可以是：
+     *     - null，空值被视为最小的值，即正序排序时排在最前面，倒序排序时排在最后面，
+     *       这是默认的设置；
+     *     - 'first'，空值总是排在最前面；
+     *     - 'last'，空值总是排在最后面。
+     */
+    static setDefaultNullsOrder(nullsOrder) {
+        if (nullsOrder !== null && nullsOrder !== 'first' && nullsOrder !== 'last') {
+            throw new TypeError('Nulls order should be null, "first" or "last".');
+        }
+
+        defaultNullsOrder = nullsOrder;
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 获取默认的空值排序位置
+     *
+     * @returns 返回 null, 'first' 或者 'last'
+     */
+    static getDefaultNullsOrder() {
+        return defaultNullsOrder;
+    }
+
+    /**
+     * 注册命名的比较函数
+     *
+     * 注册之后可以在排序表达式里通过 'USING <name>' 使用，比如：
+     *
+     * ObjectSorter.registerComparator('length', (left, right) => left.length - right.length);
+     * ObjectSorter.sortByOrderExpression(items, 'tags USING length DESC');
+     *
+     * @param {*} name 比较函数的名称，不区分大小写。如果该名称已经注册，则替换原有的比较函数。
+     * @param {*} comparator 比较函数 (leftValue, rightValue) => Number，
+     *     当左边小于右边时返回负数，相等时返回 0，大于时返回正数。
+     *     注：比较函数只会接收到非空值（即不是 undefined 也不是 null 的值），
+     *     空值的位置由排序器决定，详细见 setDefaultNullsOrder 方法。
+     */
+    static registerComparator(name, comparator) {
+        namedComparators.set(name.toLowerCase(), comparator);
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 移除命名的比较函数
+     *
+     * @param {*} name
+     */
+    static unregisterComparator(name) {
+        namedComparators.delete(name.toLowerCase());
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 注册按值类型的比较函数
+     *
+     * 当排序字段没有指定 USING 比较函数，也没有注册按名称路径的比较函数，且两个值都
+     * 属于指定的类型时，使用该比较函数。
+     *
+     * @param {*} type 值的类型，可以是 typeof 运算的结果字符串，比如 'string', 'bigint'，
+     *     也可以是构造函数（类），比如 Decimal，此时使用 instanceof 判断值的类型。
+     * @param {*} comparator 比较函数，详细见 registerComparator 方法。
+     */
+    static registerTypeComparator(type, comparator) {
+        typeComparators.set(type, comparator);
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 移除按值类型的比较函数
+     *
+     * @param {*} type
+     */
+    static unregisterTypeComparator(type) {
+        typeComparators.delete(type);
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 注册按名称路径的比较函数
+     *
+     * 当排序字段没有指定 USING 比较函数时，使用该比较函数。
+     *
+     * @param {*} namePath 排序字段的名称路径，需要与 OrderField 的 fieldName 一致。
+     * @param {*} comparator 比较函数（详细见 registerComparator 方法），或者
+     *     命名比较函数的名称。
+     */
+    static registerFieldComparator(namePath, comparator) {
+        fieldComparators.set(namePath, comparator);
+        objectComparatorCache.clear();
+    }
+
+    /**
+     * 移除按名称路径的比较函数
+     *
+     * @param {*} namePath
+     */
+    static unregisterFieldComparator(namePath) {
+        fieldComparators.delete(namePath);
+        objectComparatorCache.clear();
+    }
+
+    // PRIVATE
+    static _createDecorator(orderFields) {
+        let getters = orderFields.map(orderField => ObjectSorter._createGetter(orderField));
+        let fieldCount = getters.length;
+
+        return (itemObject, index) => {
+            let keys = new Array(fieldCount);
+            for (let idx = 0; idx < fieldCount; idx++) {
+                keys[idx] = getters[idx](itemObject);
+            }
+
+            return { itemObject, keys, index };
+        };
+    }
+
+    // PRIVATE
+    static _createDecoratedComparator(orderFields) {
+        let comparators = orderFields.map(orderField => ObjectSorter._createFieldComparator(orderField));
+        let fieldCount = comparators.length;
+
+        return (leftItem, rightItem) => {
+            for (let idx = 0; idx < fieldCount; idx++) {
+                let fieldResult = comparators[idx](leftItem.keys[idx], rightItem.keys[idx]);
+                if (fieldResult !== 0) {
+                    return fieldResult;
+                }
+            }
+
+            // 按原数组的位置决定先后顺序，即稳定排序
+            return leftItem.index - rightItem.index;
+        };
+    }
+
+    // PRIVATE
+    static _siftUp(heap, idx, compare) {
+        while (idx > 0) {
+            let parentIdx = (idx - 1) >>> 1;
+            if (compare(heap[idx], heap[parentIdx]) <= 0) {
+                break;
+            }
+
+            [heap[idx], heap[parentIdx]] = [heap[parentIdx], heap[idx]];
+            idx = parentIdx;
+        }
+    }
+
+    // PRIVATE
+    static _siftDown(heap, idx, compare) {
+        let length = heap.length;
+
+        for (;;) {
+            let largestIdx = idx;
+            let leftIdx = idx * 2 + 1;
+            let rightIdx = leftIdx + 1;
+
+            if (leftIdx < length && compare(heap[leftIdx], heap[largestIdx]) > 0) {
+                largestIdx = leftIdx;
+            }
+
+            if (rightIdx < length && compare(heap[rightIdx], heap[largestIdx]) > 0) {
+                largestIdx = rightIdx;
+            }
+
+            if (largestIdx === idx) {
+                break;
+            }
+
+            [heap[idx], heap[largestIdx]] = [heap[largestIdx], heap[idx]];
+            idx = largestIdx;
+        }
+    }
+
+    // PRIVATE
+    static _binarySearch(itemObjects, isBefore) {
+        // 返回第一个 isBefore 为 false 的位置，要求数组前面部分的 isBefore 都为 true，
+        // 后面部分都为 false
+        let low = 0;
+        let high = itemObjects.length;
+
+        while (low < high) {
+            let middle = (low + high) >>> 1;
+            if (isBefore(itemObjects[middle])) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    // PRIVATE
+    static _toOrderFields(orderExpressionOrFields) {
+        return (typeof orderExpressionOrFields === 'string') ?
+            ObjectSorter.parseOrderExpression(orderExpressionOrFields) : orderExpressionOrFields;
+    }
+
+    // PRIVATE
+    static _createOrderField(orderExpression, nameModifiersPair, strict) {
+        let { name, modifiers, expression, modifiersPosition, endPosition } = nameModifiersPair;
+        let isAscendingOrder = true;
+        let options = { expression };
+
+        // [{text: String, position: Number}, ...]，position 为单词在表达式里的位置
+        let words = [];
+        let wordPattern = /\S+/g;
+        let match;
+        while ((match = wordPattern.exec(modifiers)) !== null) {
+            words.push({ text: match[0], position: modifiersPosition + match.index });
+        }
+
+        let syntaxError = (idx, expected) => {
+            if (!strict) {
+                return null;
+            }
+
+            // 当缺少单词时，错误的位置为当前属性的结束位置（即逗号或者表达式的末尾）
+            let position = idx < words.length ? words[idx].position : endPosition;
+            throw new ExpressionSyntaxError(orderExpression, position, expected);
+        };
+
+        for (let idx = 0; idx < words.length; idx++) {
+            let word = words[idx].text.toUpperCase();
+
+            if (word === 'ASC') {
+                isAscendingOrder = true;
+            } else if (word === 'DESC') {
+                isAscendingOrder = false;
+            } else if (word === 'NOCASE') {
+                options.isCaseInsensitive = true;
+            } else if (word === 'NATURAL') {
+                options.isNaturalOrder = true;
+            } else if (word === 'COLLATE') {
+                let locale = (idx + 1 < words.length) ? words[idx + 1].text : undefined;
+                if (locale === undefined || !ObjectSorter._isValidLocale(locale)) {
+                    return syntaxError(idx + 1, 'locale');
+                }
+
+                options.locale = locale;
+                idx += 1;
+            } else if (word === 'NULLS') {
+                let position = (idx + 1 < words.length) ? words[idx + 1].text.toUpperCase() : '';
+                if (position === 'FIRST') {
+                    options.nullsOrder = 'first';
+                } else if (position === 'LAST') {
+                    options.nullsOrder = 'last';
+                } else {
+                    return syntaxError(idx + 1, '"FIRST" or "LAST"');
+                }
+
+                idx += 1;
+            } else if (word === 'USING') {
+                let comparatorName = (idx + 1 < words.length) ? words[idx + 1].text : undefined;
+                if (comparatorName === undefined) {
+                    return syntaxError(idx + 1, 'comparator name');
+                }
+
+                // 检查比较函数是否存在，不存在时抛出异常
+                ObjectSorter._getNamedComparator(comparatorName);
+
+                options.comparatorName = comparatorName;
+                idx += 1;
+            } else {
+                return syntaxError(idx,
+                    '"ASC", "DESC", "NOCASE", "NATURAL", "COLLATE", "NULLS", "USING" or ","');
+            }
+        }
+
+        return new OrderField(name, isAscendingOrder, options);
+    }
+
+    // PRIVATE
+    static _parseFunctionCall(orderExpression, openIndex, functionName, strict) {
+        // 解析从左圆括号（openIndex）开始的函数参数列表，返回
+        // {expression: {functionName, args}, endIndex: 右圆括号的位置}，
+        // 如果有语法错误则返回 null（严格模式下则抛出异常）。
+        let syntaxError = (position, expected) => {
+            if (strict) {
+                throw new ExpressionSyntaxError(orderExpression, position, expected);
+            }
+            return null;
+        };
+
+        let definition = orderFunctions[functionName.toUpperCase()];
+        if (definition === undefined) {
+            return syntaxError(openIndex - functionName.length,
+                'function name (' + Object.keys(orderFunctions).join(', ') + ')');
+        }
+
+        let args = [];
+        let idx = openIndex + 1;
+
+        let skipSpaces = () => {
+            while (orderExpression[idx] === ' ') {
+                idx += 1;
+            }
+        };
+
+        skipSpaces();
+        while (orderExpression[idx] !== ')') {
+            let c = orderExpression[idx];
+            let arg;
+
+            if (c === '\'' || c === '"') {
+                // 带引号的名称，单引号之内两个连续单引号表示一个单引号字符
+                let buffer = [];
+                for (idx += 1; ; idx++) {
+                    if (idx >= orderExpression.length) {
+                        return syntaxError(idx, c === '"' ? '\'"\'' : '"\'"');
+                    }
+
+                    if (orderExpression[idx] === c) {
+                        if (c === '\'' && orderExpression[idx + 1] === '\'') {
+                            buffer.push('\'');
+                            idx += 1;
+                        } else {
+                            idx += 1;
+                            break;
+                        }
+                    } else {
+                        buffer.push(orderExpression[idx]);
+                    }
+                }
+                arg = buffer.join('');
+
+            } else {
+                let start = idx;
+                while (idx < orderExpression.length && ' ,()'.indexOf(orderExpression[idx]) < 0) {
+                    idx += 1;
+                }
+
+                let name = orderExpression.substring(start, idx);
+                if (name === '') {
+                    return syntaxError(idx, 'name');
+                }
+
+                if (orderExpression[idx] === '(') {
+                    // 嵌套的函数表达式
+                    let result = ObjectSorter._parseFunctionCall(orderExpression, idx, name, strict);
+                    if (result === null) {
+                        return null;
+                    }
+
+                    arg = result.expression;
+                    idx = result.endIndex + 1;
+                } else {
+                    arg = name;
+                }
+            }
+
+            args.push(arg);
+
+            skipSpaces();
+            if (orderExpression[idx] === ',' && args.length < definition.maxArgs) {
+                idx += 1;
+                skipSpaces();
+            } else if (orderExpression[idx] !== ')') {
+                return syntaxError(idx, args.length < definition.maxArgs ? '"," or ")"' : '")"');
+            }
+        }
+
+        if (args.length < definition.minArgs) {
+            return syntaxError(idx, 'name');
+        }
+
+        return {
+            expression: { functionName: functionName.toUpperCase(), args },
+            endIndex: idx
+        };
+    }
+
+    // PRIVATE
+    static _formatOrderField(orderField) {
+        let buffer = [];
+
+        if (orderField.expression !== null) {
+            buffer.push(ObjectSorter._formatFunctionCall(orderField.expression));
+        } else {
+            buffer.push(ObjectSorter._quoteName(orderField.fieldName));
+        }
+
+        if (!orderField.isAscendingOrder) {
+            buffer.push('DESC');
+        }
+
+        if (orderField.isCaseInsensitive) {
+            buffer.push('NOCASE');
+        }
+
+        if (orderField.isNaturalOrder) {
+            buffer.push('NATURAL');
+        }
+
+        if (orderField.locale !== null) {
+            buffer.push('COLLATE ' + orderField.locale);
+        }
+
+        if (orderField.nullsOrder !== null) {
+            buffer.push('NULLS ' + orderField.nullsOrder.toUpperCase());
+        }
+
+        if (orderField.comparatorName !== null) {
+            buffer.push('USING ' + orderField.comparatorName);
+        }
+
+        return buffer.join(' ');
+    }
+
+    // PRIVATE
+    static _formatFunctionCall(expression) {
+        let args = expression.args.map(arg => {
+            if (typeof arg !== 'string') {
+                return ObjectSorter._formatFunctionCall(arg);
+            }
+
+            return ObjectSorter._quoteName(arg);
+        });
+
+        return expression.functionName + '(' + args.join(', ') + ')';
+    }
+
+    // PRIVATE
+    static _quoteName(name) {
+        if (name === '' || /[\s,()'"]/.test(name)) {
+            return '\'' + name.replace(/'/g, '\'\'') + '\'';
+        }
+
+        return name;
+    }
+
+    // PRIVATE
+    static _createGetter(orderField) {
+        if (orderField.expression === null) {
+            return ObjectAccessor.compile(orderField.fieldName).get;
+        }
+
+        return ObjectSorter._compileFunctionCall(orderField.expression);
+    }
+
+    // PRIVATE
+    static _compileFunctionCall(expression) {
+        let evaluate = orderFunctions[expression.functionName].evaluate;
+        let argGetters = expression.args.map(arg => {
+            return (typeof arg === 'string') ?
+                ObjectAccessor.compile(arg).get : ObjectSorter._compileFunctionCall(arg);
+        });
+
+        return (itemObject) => {
+            return evaluate(...argGetters.map(getter => getter(itemObject)));
+        };
+    }
+
+    // PRIVATE
+    static _isValidLocale(locale) {
+        try {
+            Intl.getCanonicalLocales(locale);
+            return true;
+        } catch (e) {
+            // RangeError: Incorrect locale information provided
+            return false;
+        }
+    }
+
+    // PRIVATE
+    static _getCollator(orderField) {
+        let { locale, isCaseInsensitive, isNaturalOrder } = orderField;
+        let key = locale + '|' + isCaseInsensitive + '|' + isNaturalOrder;
 
+        let collator = collatorCache.get(key);
+        if (collator === undefined) {
+            collator = new Intl.Collator(locale === null ? undefined : locale, {
+                numeric: isNaturalOrder,
+                // 'accent' 表示忽略大小写，但不忽略重音符号，即 'a' 等于 'A'，但不等于 'á'
+                sensitivity: isCaseInsensitive ? 'accent' : 'variant'
+            });
+
+            collatorCache.set(key, collator);
+        }
+
+        return collator;
+    }
+
+    // PRIVATE
+    static _createFieldComparator(orderField) {
+        let compareValue = ObjectSorter._createValueComparator(orderField);
+        let direction = orderField.isAscendingOrder ? 1 : -1;
+
+        let nullsOrder = orderField.nullsOrder !== null ? orderField.nullsOrder : defaultNullsOrder;
+        if (nullsOrder === null) {
+            return (leftValue, rightValue) => {
+                return direction * compareValue(leftValue, rightValue);
+            };
+        }
+
+        let nullsResult = (nullsOrder === 'first') ? -1 : 1;
+        return (leftValue, rightValue) => {
+            let isLeftNull = (leftValue === undefined || leftValue === null);
+            let isRightNull = (rightValue === undefined || rightValue === null);
+
+            if (isLeftNull && isRightNull) {
+                // 空值之间的顺序不受排序方向的影响，undefined 总是排在 null 之前
+                return compareValue(leftValue, rightValue);
+            } else if (isLeftNull) {
+                return nullsResult;
+            } else if (isRightNull) {
+                return -nullsResult;
+            } else {
+                return direction * compareValue(leftValue, rightValue);
+            }
+        };
+    }
+
+    // PRIVATE
+    // 检查数量参数，ObjectQuery 的 offset 和 limit 方法也使用此方法
+    static _checkCount(name, count) {
+        if (!Number.isInteger(count)) {
+            throw new TypeError('The value of "' + name + '" should be an integer.');
+        }
+
+        if (count < 0) {
+            throw new RangeError('The value of "' + name + '" should not be negative.');
+        }
+    }
+
+    // PRIVATE
+    static _checkFunctionExpression(expression) {
+        if (expression === null || typeof expression !== 'object' ||
+            typeof expression.functionName !== 'string' || !Array.isArray(expression.args)) {
+            throw new TypeError('Invalid order field, "expression" should be {functionName, args}.');
+        }
+
+        // 只接受 orderFunctions 自身的属性，以排除 'constructor' 等继承的属性
+        let functionName = expression.functionName;
+        if (!hasOwnProperty.call(orderFunctions, functionName)) {
+            throw new RangeError('Unknown function "' + functionName + '".');
+        }
+
+        let { minArgs, maxArgs } = orderFunctions[functionName];
+        if (expression.args.length < minArgs || expression.args.length > maxArgs) {
+            throw new RangeError('Invalid number of arguments for function "' + functionName + '".');
+        }
+
+        for (let arg of expression.args) {
+            if (typeof arg !== 'string') {
+                ObjectSorter._checkFunctionExpression(arg);
+            }
+        }
+    }
+
+    // PRIVATE
+    static _getNamedComparator(name) {
+        let comparator = namedComparators.get(name.toLowerCase());
+        if (comparator === undefined) {
+            throw new RangeError('Unknown comparator "' + name + '".');
+        }
+
+        return comparator;
+    }
+
+    // PRIVATE
+    static _findTypeComparator(leftValue, rightValue) {
+        for (let [type, comparator] of typeComparators) {
+            if (ObjectSorter._isTypeOf(leftValue, type) && ObjectSorter._isTypeOf(rightValue, type)) {
+                return comparator;
+            }
+        }
+
+        return undefined;
+    }
+
+    // PRIVATE
+    static _isTypeOf(value, type) {
+        return (typeof type === 'string') ? (typeof value === type) : (value instanceof type);
+    }
+
+    // PRIVATE
+    static _createValueComparator(orderField) {
+        let compareNonNullValue = ObjectSorter._resolveComparator(orderField);
+        if (compareNonNullValue === ObjectSorter._compareValue) {
+            return ObjectSorter._compareValue;
+        }
+
+        return (leftValue, rightValue) => {
+            if (leftValue === undefined || leftValue === null ||
+                rightValue === undefined || rightValue === null) {
+                return ObjectSorter._compareValue(leftValue, rightValue);
+            }
+
+            // 自定义的比较函数以及 Intl.Collator 的 compare 方法可能返回任意正负数，
+            // 统一为 -1, 0, 1
+            return Math.sign(compareNonNullValue(leftValue, rightValue));
+        };
+    }
+
+    // PRIVATE
+    static _resolveComparator(orderField) {
+        // 比较函数的优先级：USING 子句 > 按名称路径 > 按值类型 > 默认
+        if (orderField.comparatorName !== null) {
+            return ObjectSorter._getNamedComparator(orderField.comparatorName);
+        }
+
+        let fieldComparator = fieldComparators.get(orderField.fieldName);
+        if (fieldComparator !== undefined) {
+            return (typeof fieldComparator === 'string') ?
+                ObjectSorter._getNamedComparator(fieldComparator) : fieldComparator;
+        }
+
+        let compareValue = ObjectSorter._compareValue;
+        if (orderField.isCollationEnabled()) {
+            let collator = ObjectSorter._getCollator(orderField);
+            compareValue = (leftValue, rightValue) => {
+                if (typeof leftValue === 'string' && typeof rightValue === 'string') {
+                    return collator.compare(leftValue, rightValue);
+                }
+
+                return ObjectSorter._compareValue(leftValue, rightValue);
+            };
+        }
+
+        if (typeComparators.size === 0) {
+            return compareValue;
+        }
+
+        return (leftValue, rightValue) => {
+            let typeComparator = ObjectSorter._findTypeComparator(leftValue, rightValue);
+            return (typeComparator !== undefined) ?
+                typeComparator(leftValue, rightValue) : compareValue(leftValue, rightValue);
+        };
+    }
+
+    // PRIVATE
+    static _compareValue(leftValue, rightValue) {
         if (leftValue === undefined && rightValue === undefined) {
             return 0;
         } else if (leftValue === undefined) {
@@ -280,19 +1352,166 @@ class ObjectSorter {
             return -1;
         } else if (rightValue === null) {
             return 1;
+        }
+
+        // 不同类型的值，按类型排序，以避免 "<" 和 ">" 符号的隐式类型转换
+        // 导致的不一致结果（比如 1 与 'a' 互不大于也互不小于）
+        let leftRank = ObjectSorter._getTypeRank(leftValue);
+        let rightRank = ObjectSorter._getTypeRank(rightValue);
+        if (leftRank !== rightRank) {
+            return leftRank < rightRank ? -1 : 1;
+        }
+
+        if (leftValue instanceof Date) {
+            // Date 对象无法使用 "==" 或者 "===" 符号判断是否值相等，所以比较时间戳
+            return ObjectSorter._compareNumber(leftValue.getTime(), rightValue.getTime());
+        }
+
+        if (leftRank === 1) {
+            return ObjectSorter._compareNumber(leftValue, rightValue);
+        }
+
+        // 对于 Boolean 类型，true > false
+        if (leftValue < rightValue) {
+            return -1;
+        } else if (leftValue > rightValue) {
+            return 1;
         } else {
-            // - Date 对象可以通过 "<" 和 ">" 符号正确比较大小，但无法使用
-            //   "==" 或者 "===" 符号判断是否值相等。
-            // - 对于 Boolean 类型，true > false
-            if (leftValue < rightValue) {
-                return -1;
-            } else if (leftValue > rightValue) {
+            return 0;
+        }
+    }
+
+    // PRIVATE
+    static _getTypeRank(value) {
+        // Boolean < Number 和 BigInt < String < Date < 其他
+        switch (typeof value) {
+            case 'boolean':
+                return 0;
+            case 'number':
+            case 'bigint':
                 return 1;
+            case 'string':
+                return 2;
+            default:
+                return (value instanceof Date) ? 3 : 4;
+        }
+    }
+
+    // PRIVATE
+    static _compareNumber(leftValue, rightValue) {
+        // Number 和 BigInt 可以直接使用 "<" 和 ">" 符号比较，NaN（包括无效的日期）
+        // 视为最小的数值
+        let isLeftNaN = Number.isNaN(leftValue);
+        let isRightNaN = Number.isNaN(rightValue);
+
+        if (isLeftNaN || isRightNaN) {
+            return (isLeftNaN && isRightNaN) ? 0 : (isLeftNaN ? -1 : 1);
+        } else if (leftValue < rightValue) {
+            return -1;
+        } else if (leftValue > rightValue) {
+            return 1;
+        } else {
+            return 0;
+        }
+    }
+
+    // PRIVATE
+    static _compareSemver(leftValue, rightValue) {
+        // 语义化版本号，比如 '1.10.0', 'v2.0.0-rc.1'，详细见 https://semver.org/
+        let parse = (value) => {
+            let version = String(value).trim().replace(/^v/i, '').split('+')[0];
+            let dashIndex = version.indexOf('-');
+            let core = dashIndex >= 0 ? version.substring(0, dashIndex) : version;
+            let preRelease = dashIndex >= 0 ? version.substring(dashIndex + 1).split('.') : [];
+            return { numbers: core.split('.').map(part => parseInt(part, 10) || 0), preRelease };
+        };
+
+        let left = parse(leftValue);
+        let right = parse(rightValue);
+
+        for (let idx = 0; idx < 3; idx++) {
+            let result = ObjectSorter._compareNumber(left.numbers[idx] || 0, right.numbers[idx] || 0);
+            if (result !== 0) {
+                return result;
+            }
+        }
+
+        // 有预发布版本号的版本较小，比如 1.0.0-alpha < 1.0.0
+        if (left.preRelease.length === 0 || right.preRelease.length === 0) {
+            return right.preRelease.length - left.preRelease.length;
+        }
+
+        let length = Math.min(left.preRelease.length, right.preRelease.length);
+        for (let idx = 0; idx < length; idx++) {
+            let leftPart = left.preRelease[idx];
+            let rightPart = right.preRelease[idx];
+            let isLeftNumeric = /^\d+$/.test(leftPart);
+            let isRightNumeric = /^\d+$/.test(rightPart);
+
+            let result;
+            if (isLeftNumeric && isRightNumeric) {
+                result = ObjectSorter._compareNumber(Number(leftPart), Number(rightPart));
+            } else if (isLeftNumeric || isRightNumeric) {
+                // 数字标识符总是小于非数字标识符
+                result = isLeftNumeric ? -1 : 1;
             } else {
-                return 0;
+                result = ObjectSorter._compareValue(leftPart, rightPart);
+            }
+
+            if (result !== 0) {
+                return result;
             }
         }
+
+        return left.preRelease.length - right.preRelease.length;
+    }
+
+    // PRIVATE
+    static _compareDecimal(leftValue, rightValue) {
+        // 十进制数字字符串，比如 '-12.50', '0.1'，以避免转换为 Number 时丢失精度。
+        // 无效的数字字符串排在有效的数字之后。
+        let parse = (value) => {
+            let match = /^\s*([+-]?)(\d*)(?:\.(\d*))?\s*$/.exec(String(value));
+            if (match === null || match[2] + (match[3] || '') === '') {
+                return null;
+            }
+
+            let integer = match[2].replace(/^0+/, '');
+            let fraction = (match[3] || '').replace(/0+$/, '');
+            let isZero = (integer === '' && fraction === '');
+            return { sign: (match[1] === '-' && !isZero) ? -1 : (isZero ? 0 : 1), integer, fraction };
+        };
+
+        let left = parse(leftValue);
+        let right = parse(rightValue);
+
+        if (left === null || right === null) {
+            if (left === null && right === null) {
+                return ObjectSorter._compareValue(String(leftValue), String(rightValue));
+            }
+
+            return left === null ? 1 : -1;
+        }
+
+        if (left.sign !== right.sign) {
+            return left.sign < right.sign ? -1 : 1;
+        }
+
+        // 符号相同时比较绝对值，整数部分先比较位数
+        let result = ObjectSorter._compareNumber(left.integer.length, right.integer.length);
+        if (result === 0) {
+            result = ObjectSorter._compareValue(left.integer, right.integer);
+        }
+        if (result === 0) {
+            // 小数部分已经去掉末尾的 0，可以直接按字符串比较
+            result = ObjectSorter._compareValue(left.fraction, right.fraction);
+        }
+
+        return left.sign * result;
     }
 }
 
+namedComparators.set('semver', ObjectSorter._compareSemver);
+namedComparators.set('decimal', ObjectSorter._compareDecimal);
+
 module.exports = ObjectSorter;
\ No newline at end of file
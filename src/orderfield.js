@@ -6,11 +6,92 @@ class OrderField {
      *
      * @param {*} fieldName 待排序的（项目对象的）属性名称
      * @param {*} isAscendingOrder 是否正序排序
+     * @param {*} options 比较选项，可选，结构如下：
+     *     {
+     *       locale: String, 区域语言代码，比如 'de', 'zh-CN' 等，默认为 null，
+     *           即使用运行环境的默认区域语言；
+     *       isCaseInsensitive: Boolean, 是否忽略大小写，默认为 false；
+     *       isNaturalOrder: Boolean, 是否按 “自然顺序” 比较字符串当中的数字，
+     *           比如 'file2' 排在 'file10' 之前，默认为 false；
+     *       nullsOrder: String, 空值（undefined 和 null）的位置，'first' 表示总是排在
+     *           最前面，'last' 表示总是排在最后面，默认为 null，即使用
+     *           ObjectSorter.setDefaultNullsOrder 所设置的默认位置；
+     *       comparatorName: String, 命名比较函数的名称（即排序表达式的 USING 子句），
+     *           默认为 null，详细见 ObjectSorter.registerComparator 方法；
+     *       expression: Object, 函数表达式，默认为 null，此时 fieldName 为函数表达式的文本，
+     *           结构为 {functionName: String, args: [String|Object, ...]}，其中 args 为
+     *           名称路径或者嵌套的函数表达式，详细见 ObjectSorter.parseOrderExpression 方法。
+     *     }
+     *     当指定了 locale, isCaseInsensitive 或 isNaturalOrder 选项时，字符串
+     *     使用 Intl.Collator 比较，否则使用 '<' 和 '>' 符号比较。
      */
-	constructor(fieldName, isAscendingOrder = true) {
+	constructor(fieldName, isAscendingOrder = true, options = {}) {
 		this.fieldName = fieldName;
 		this.isAscendingOrder = isAscendingOrder;
+		this.locale = options.locale === undefined ? null : options.locale;
+		this.isCaseInsensitive = options.isCaseInsensitive === true;
+		this.isNaturalOrder = options.isNaturalOrder === true;
+		this.nullsOrder = options.nullsOrder === undefined ? null : options.nullsOrder;
+		this.comparatorName = options.comparatorName === undefined ? null : options.comparatorName;
+		this.expression = options.expression === undefined ? null : options.expression;
+	}
+
+    /**
+     * 是否需要使用 Intl.Collator 比较字符串
+     *
+     * @returns
+     */
+	isCollationEnabled() {
+		return this.locale !== null || this.isCaseInsensitive || this.isNaturalOrder;
+	}
+
+    /**
+     * 转换为排序表达式，比如 "'file name' DESC NATURAL"
+     *
+     * 详细见 ObjectSorter.toOrderExpression 方法。
+     *
+     * @returns
+     */
+	toString() {
+		// ObjectSorter 依赖 OrderField，所以在这里才加载，以避免循环依赖
+		const ObjectSorter = require('./objectsorter');
+		return ObjectSorter.toOrderExpression([this]);
+	}
+
+    /**
+     * 从 JSON 字符串或者 JSON.parse 的结果对象创建 OrderField 对象
+     *
+     * 即 JSON.stringify(orderField) 的逆操作。JSON 可能来自 URL 等不可信的来源，
+     * 所以创建的对象会使用 ObjectSorter.checkOrderField 方法检查，无效时抛出
+     * TypeError 或者 RangeError 异常。
+     *
+     * @param {*} json JSON 字符串，或者对象
+     * @returns 返回 OrderField 对象
+     */
+	static fromJSON(json) {
+		let data = (typeof json === 'string') ? JSON.parse(json) : json;
+
+		if (data === null || typeof data !== 'object' || typeof data.fieldName !== 'string') {
+			throw new TypeError('Invalid OrderField JSON, "fieldName" should be a string.');
+		}
+
+		// 只读取已知的属性，省略的属性使用默认值
+		let isAscendingOrder = data.isAscendingOrder === undefined ? true : data.isAscendingOrder;
+		let orderField = new OrderField(data.fieldName, isAscendingOrder, {
+			locale: data.locale,
+			nullsOrder: data.nullsOrder,
+			comparatorName: data.comparatorName,
+			expression: data.expression
+		});
+
+		// 构造函数会把非 true 的值转换为 false，所以需要另外设置以便检查
+		orderField.isCaseInsensitive = data.isCaseInsensitive === undefined ? false : data.isCaseInsensitive;
+		orderField.isNaturalOrder = data.isNaturalOrder === undefined ? false : data.isNaturalOrder;
+
+		const ObjectSorter = require('./objectsorter');
+		ObjectSorter.checkOrderField(orderField);
+		return orderField;
 	}
 }
 
-module.exports = OrderField;
\ No newline at end of file
+module.exports = OrderField;
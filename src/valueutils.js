@@ -0,0 +1,129 @@
+const ObjectUtils = require('./objectutils');
+
+// 通配模式当中的通配符的标记
+const anyCharsToken = Symbol('any-chars');
+const singleCharToken = Symbol('single-char');
+
+/**
+ * 多个模块共用的值的比较和匹配方法
+ *
+ * PRIVATE
+ */
+class ValueUtils {
+
+    /**
+     * 比较两个值
+     *
+     * - == 和 != 使用 ObjectUtils.equals 进行深度比较；
+     * - 大小比较仅当两边同为数字、字符串或者 Date 时才可能为真，其他情况
+     *   （比如字符串跟数字比较）均为假。
+     *
+     * @param {*} left
+     * @param {*} operator 比较运算符，'==', '!=', '<', '<=', '>' 或 '>='
+     * @param {*} right
+     * @returns 返回 Boolean
+     */
+    static compare(left, operator, right) {
+        switch (operator) {
+            case '==':
+                return ObjectUtils.equals(left, right);
+            case '!=':
+                return !ObjectUtils.equals(left, right);
+        }
+
+        let isComparable =
+            (typeof left === 'number' && typeof right === 'number') ||
+            (typeof left === 'string' && typeof right === 'string') ||
+            (left instanceof Date && right instanceof Date);
+
+        if (!isComparable) {
+            return false;
+        }
+
+        switch (operator) {
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            case '>=':
+                return left >= right;
+        }
+
+        return false;
+    }
+
+    /**
+     * 编译通配模式（wildcard pattern）为一个判断函数
+     *
+     * 比如 LIKE 的 'Shen%'，GLOB 的 'Shen*'，名称路径的 'meta_*'。
+     *
+     * 匹配使用双指针的方法，遇到不匹配时回到最后一个多字符通配符的位置重试，
+     * 所以时间复杂度为 O(模式长度 × 文本长度)，不会像正则表达式那样因为回溯
+     * 而出现指数级的耗时，可以用于最终用户输入的模式。
+     *
+     * @param {*} pattern 通配模式
+     * @param {*} anyChars 匹配任意多个字符的通配符，比如 '%' 或 '*'
+     * @param {*} singleChar 匹配一个字符的通配符，比如 '_' 或 '?'，不需要时为 undefined
+     * @param {*} ignoreCase 是否不区分大小写，默认为 false
+     * @returns 返回判断函数 (text) => Boolean
+     */
+    static compileWildcardPattern(pattern, anyChars, singleChar, ignoreCase = false) {
+        let normalize = (text) => {
+            return ignoreCase ? text.toLowerCase() : text;
+        };
+
+        let tokens = Array.from(pattern).map(c => {
+            if (c === anyChars) {
+                return anyCharsToken;
+            }
+            if (c === singleChar) {
+                return singleCharToken;
+            }
+            return normalize(c);
+        });
+
+        return (text) => {
+            let chars = Array.from(normalize(text));
+            let patternIdx = 0;
+            let textIdx = 0;
+
+            // 最后一个多字符通配符的位置，以及它当时匹配到的文本位置
+            let anyCharsIdx = -1;
+            let anyCharsTextIdx = 0;
+
+            while (textIdx < chars.length) {
+                let token = tokens[patternIdx];
+
+                if (patternIdx < tokens.length &&
+                    (token === singleCharToken || token === chars[textIdx])) {
+                    patternIdx++;
+                    textIdx++;
+
+                } else if (token === anyCharsToken) {
+                    anyCharsIdx = patternIdx;
+                    anyCharsTextIdx = textIdx;
+                    patternIdx++;
+
+                } else if (anyCharsIdx >= 0) {
+                    // 让最后一个多字符通配符多匹配一个字符，然后重试
+                    anyCharsTextIdx++;
+                    patternIdx = anyCharsIdx + 1;
+                    textIdx = anyCharsTextIdx;
+
+                } else {
+                    return false;
+                }
+            }
+
+            while (tokens[patternIdx] === anyCharsToken) {
+                patternIdx++;
+            }
+
+            return patternIdx === tokens.length;
+        };
+    }
+}
+
+module.exports = ValueUtils;
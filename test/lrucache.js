@@ -0,0 +1,38 @@
+const assert = require('assert/strict');
+
+const LRUCache = require('../src/lrucache');
+
+describe('LRUCache Test', () => {
+    it('Test get() and set()', () => {
+        let cache = new LRUCache(2);
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), 2);
+        assert(cache.get('c') === undefined);
+
+        cache.set('b', 3);
+        assert.equal(cache.get('b'), 3);
+        assert.equal(cache.size, 2);
+    });
+
+    it('Test eviction', () => {
+        let cache = new LRUCache(2);
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+
+        // 访问 'a' 之后，'b' 成为最久未被访问的条目
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get('a'), 1);
+        assert(cache.get('b') === undefined);
+        assert.equal(cache.get('c'), 3);
+
+        cache.clear();
+        assert.equal(cache.size, 0);
+    });
+});
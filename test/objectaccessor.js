@@ -1,6 +1,6 @@
 const assert = require('assert/strict');
 
-const { ObjectAccessor, ObjectUtils } = require('../index');
+const { ExpressionSyntaxError, ObjectAccessor, ObjectUtils } = require('../index');
 
 describe('ObjectAccessor Test', () => {
     it('Test getPropertyValueByNamePath()', () => {
@@ -22,6 +22,216 @@ describe('ObjectAccessor Test', () => {
         assert(ObjectAccessor.getPropertyValueByNamePath(a, 'no.way') === undefined);
     });
 
+    it('Test getPropertyValueByNamePath() - array index', () => {
+        let a = {
+            items: [
+                { name: 'foo' },
+                { name: 'bar' },
+                { name: 'hello' }
+            ],
+            matrix: [[1, 2], [3, 4]]
+        };
+
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'items[0].name'), 'foo');
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'items[1].name'), 'bar');
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'items[-1].name'), 'hello');
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'items.[-2].name'), 'bar');
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'matrix[1][0]'), 3);
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a.items, '[0].name'), 'foo');
+
+        assert(ObjectAccessor.getPropertyValueByNamePath(a, 'items[3]') === undefined);
+        assert(ObjectAccessor.getPropertyValueByNamePath(a, 'items[-4]') === undefined);
+        assert(ObjectAccessor.getPropertyValueByNamePath(a, 'items[0].name[0]') === undefined);
+    });
+
+    it('Test getPropertyValuesByNamePath()', () => {
+        let a = {
+            id: 1,
+            items: [
+                { id: 2, name: 'foo' },
+                { id: 3, name: 'bar' },
+                { id: 4 }
+            ],
+            '*': 'star'
+        };
+
+        let r1 = ObjectAccessor.getPropertyValuesByNamePath(a, 'items.*.name');
+        assert.deepEqual(r1, [
+            { names: ['items', 0, 'name'], value: 'foo' },
+            { names: ['items', 1, 'name'], value: 'bar' }
+        ]);
+
+        let r2 = ObjectAccessor.getPropertyValuesByNamePath(a, '**.id');
+        assert.deepEqual(r2, [
+            { names: ['id'], value: 1 },
+            { names: ['items', 0, 'id'], value: 2 },
+            { names: ['items', 1, 'id'], value: 3 },
+            { names: ['items', 2, 'id'], value: 4 }
+        ]);
+
+        let r3 = ObjectAccessor.getPropertyValuesByNamePath(a, 'items[-1].id');
+        assert.deepEqual(r3, [
+            { names: ['items', 2, 'id'], value: 4 }
+        ]);
+
+        // 被引号包括的 '*' 为普通属性名称
+        let r4 = ObjectAccessor.getPropertyValuesByNamePath(a, '\'*\'');
+        assert.deepEqual(r4, [
+            { names: ['*'], value: 'star' }
+        ]);
+
+        assert.deepEqual(ObjectAccessor.getPropertyValuesByNamePath(a, 'no.*'), []);
+
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, 'items.*.name'), 'foo');
+    });
+
+    it('Test setPropertyValueByNamePath() - array index and wildcard', () => {
+        let a = {
+            items: [
+                { name: 'foo' },
+                { name: 'bar' }
+            ]
+        };
+
+        ObjectAccessor.setPropertyValueByNamePath(a, 'items[-1].name', 'hello');
+        assert.equal(a.items[1].name, 'hello');
+
+        ObjectAccessor.setPropertyValueByNamePath(a, 'items[2].name', 'world');
+        assert.equal(a.items[2].name, 'world');
+
+        // 自动创建中间数组
+        ObjectAccessor.setPropertyValueByNamePath(a, 'tags[0]', 'vip');
+        assert.deepEqual(a.tags, ['vip']);
+
+        ObjectAccessor.setPropertyValueByNamePath(a, 'items.*.checked', true);
+        assert.deepEqual(a.items, [
+            { name: 'foo', checked: true },
+            { name: 'hello', checked: true },
+            { name: 'world', checked: true }
+        ]);
+    });
+
+    it('Test deletePropertyByNamePath() - array index and wildcard', () => {
+        let a = {
+            items: [
+                { id: 1, name: 'foo' },
+                { id: 2, name: 'bar' },
+                { id: 3, name: 'hello' }
+            ]
+        };
+
+        assert(ObjectAccessor.hasPropertyByNamePath(a, 'items[-1].name'));
+        assert(ObjectAccessor.hasPropertyByNamePath(a, 'items.*.name'));
+        assert(!ObjectAccessor.hasPropertyByNamePath(a, 'items[3]'));
+
+        assert(ObjectAccessor.deletePropertyByNamePath(a, 'items[1]'));
+        assert.deepEqual(a.items.map(item => item.id), [1, 3]);
+
+        assert(ObjectAccessor.deletePropertyByNamePath(a, 'items.*.name'));
+        assert.deepEqual(a.items, [{ id: 1 }, { id: 3 }]);
+
+        assert(!ObjectAccessor.deletePropertyByNamePath(a, 'items.*.name'));
+    });
+
+    it('Test setPropertyValueByNamePath()', () => {
+        let a = {
+            id: 123,
+            addr: {
+                city: 'abc'
+            },
+            name: 'foobar'
+        };
+
+        ObjectAccessor.setPropertyValueByNamePath(a, 'id', 456);
+        assert.equal(a.id, 456);
+
+        ObjectAccessor.setPropertyValueByNamePath(a, 'addr.city', 'def');
+        assert.equal(a.addr.city, 'def');
+
+        // 自动创建中间对象
+        ObjectAccessor.setPropertyValueByNamePath(a, 'meta.owner.name', 'foo');
+        assert(ObjectUtils.objectEquals(a.meta, { owner: { name: 'foo' } }));
+
+        // 中间的值不是对象
+        ObjectAccessor.setPropertyValueByNamePath(a, 'name.first', 'bar');
+        assert(ObjectUtils.objectEquals(a.name, { first: 'bar' }));
+
+        // 带引号的属性名称
+        ObjectAccessor.setPropertyValueByNamePath(a, 'addr.\'it\'\'s.zip\'', '518000');
+        assert.equal(a.addr['it\'s.zip'], '518000');
+    });
+
+    it('Test setPropertyValueByNamePath() - __proto__', () => {
+        let isPrototypeUnchanged = (value) => {
+            return Object.getPrototypeOf(value) === Object.prototype && !('x' in {});
+        };
+
+        let a = {};
+        ObjectAccessor.setPropertyValueByNamePath(a, '__proto__.x', 1);
+        assert(isPrototypeUnchanged(a));
+        assert.deepEqual(Object.keys(a), ['__proto__']);
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath(a, '__proto__.x'), 1);
+
+        let b = {};
+        ObjectAccessor.setPropertyValueByNamePath(b, '__proto__', { x: 1 });
+        assert(isPrototypeUnchanged(b));
+        assert(ObjectAccessor.hasPropertyByNamePath(b, '__proto__.x'));
+
+        let c = {};
+        ObjectAccessor.setPropertyValueByJsonPointer(c, '/__proto__/x', 1);
+        assert(isPrototypeUnchanged(c));
+
+        let d = ObjectAccessor.unflattenObject({ '__proto__.x': 1, 'y': 2 });
+        assert(isPrototypeUnchanged(d));
+        assert.equal(d.y, 2);
+
+        let e = ObjectAccessor.setIn(JSON.parse('{"__proto__": {"x": 1}}'), '__proto__.x', 2);
+        assert(isPrototypeUnchanged(e));
+        assert(isPrototypeUnchanged(e.__proto__));
+        assert.equal(Object.getOwnPropertyDescriptor(e, '__proto__').value.x, 2);
+    });
+
+    it('Test hasPropertyByNamePath()', () => {
+        let a = {
+            id: 123,
+            addr: {
+                city: 'abc',
+                street: undefined
+            },
+            'foo.bar': null
+        };
+
+        assert(ObjectAccessor.hasPropertyByNamePath(a, 'id'));
+        assert(ObjectAccessor.hasPropertyByNamePath(a, 'addr.city'));
+        assert(ObjectAccessor.hasPropertyByNamePath(a, 'addr.street'));
+        assert(ObjectAccessor.hasPropertyByNamePath(a, '"foo.bar"'));
+
+        assert(!ObjectAccessor.hasPropertyByNamePath(a, 'foo.bar'));
+        assert(!ObjectAccessor.hasPropertyByNamePath(a, 'addr.zip'));
+        assert(!ObjectAccessor.hasPropertyByNamePath(a, 'id.value'));
+        assert(!ObjectAccessor.hasPropertyByNamePath(a, '"foo.bar".value'));
+    });
+
+    it('Test deletePropertyByNamePath()', () => {
+        let a = {
+            id: 123,
+            addr: {
+                city: 'abc',
+                street: 'xyz'
+            }
+        };
+
+        assert(ObjectAccessor.deletePropertyByNamePath(a, 'addr.city'));
+        assert(ObjectUtils.objectEquals(a, { id: 123, addr: { street: 'xyz' } }));
+
+        assert(!ObjectAccessor.deletePropertyByNamePath(a, 'addr.city'));
+        assert(!ObjectAccessor.deletePropertyByNamePath(a, 'no.way'));
+        assert(!ObjectAccessor.deletePropertyByNamePath(a, 'id.value'));
+
+        assert(ObjectAccessor.deletePropertyByNamePath(a, 'addr'));
+        assert(ObjectUtils.objectEquals(a, { id: 123 }));
+    });
+
     it('Test splitNamePath()', () => {
         let ns1 = ObjectAccessor.splitNamePath('foo');
         assert(ObjectUtils.arrayEquals(ns1, ['foo']));
@@ -51,5 +261,504 @@ describe('ObjectAccessor Test', () => {
 
         let ns9 = ObjectAccessor.splitNamePath('"foo"."bar\'bar"."hello# \'., world!"');
         assert(ObjectUtils.arrayEquals(ns9, ['foo', 'bar\'bar', 'hello# \'., world!']));
+
+        // 数组索引和通配符
+        let ns10 = ObjectAccessor.splitNamePath('items[0].name');
+        assert(ObjectUtils.arrayEquals(ns10, ['items', 0, 'name']));
+
+        let ns11 = ObjectAccessor.splitNamePath('matrix[-1][2]');
+        assert(ObjectUtils.arrayEquals(ns11, ['matrix', -1, 2]));
+
+        let ns12 = ObjectAccessor.splitNamePath('items.*.name');
+        assert(ObjectUtils.arrayEquals(ns12, ['items', '*', 'name']));
+
+        let ns13 = ObjectAccessor.splitNamePath('\'items[0]\'.**.id');
+        assert(ObjectUtils.arrayEquals(ns13, ['items[0]', '**', 'id']));
+    });
+
+    it('Test parseNamePath()', () => {
+        assert.deepEqual(ObjectAccessor.parseNamePath('foo.bar'), [
+            { type: 'property', name: 'foo' },
+            { type: 'property', name: 'bar' }
+        ]);
+
+        assert.deepEqual(ObjectAccessor.parseNamePath('items[-1].*.\'*\'.**'), [
+            { type: 'property', name: 'items' },
+            { type: 'index', index: -1 },
+            { type: 'wildcard' },
+            { type: 'property', name: '*' },
+            { type: 'recursive-wildcard' }
+        ]);
+    });
+
+    it('Test splitNamePath() - strict', () => {
+        // 非严格模式返回出错位置之前已解析的名称
+        assert(ObjectUtils.arrayEquals(ObjectAccessor.splitNamePath('\'foo\'bar.baz'), ['foo']));
+        assert(ObjectUtils.arrayEquals(ObjectAccessor.splitNamePath('foo.\'bar'), ['foo']));
+
+        assert(ObjectUtils.arrayEquals(ObjectAccessor.splitNamePath('foo.\'bar\'.baz[0]', true), ['foo', 'bar', 'baz', 0]));
+
+        let assertSyntaxError = (namePath, position, expected) => {
+            assert.throws(() => {
+                ObjectAccessor.splitNamePath(namePath, true);
+            }, (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.expression === namePath &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        assertSyntaxError('\'foo\'bar.baz', 5, '"." or "["');
+        assertSyntaxError('foo.\'bar', 8, '"\'"');
+        assertSyntaxError('foo."bar', 8, '\'"\'');
+        assertSyntaxError('foo..bar', 4, 'name');
+        assertSyntaxError('foo.', 4, 'name');
+        assertSyntaxError('', 0, 'name');
+        assertSyntaxError('foo[abc]', 4, 'integer');
+        assertSyntaxError('a[0][x]', 5, 'integer');
+        assertSyntaxError('a.b[0][1][y]', 10, 'integer');
+        assertSyntaxError('foo[0', 5, '"]"');
+        assertSyntaxError('foo[0]bar', 6, '"." or "["');
+        assertSyntaxError('fo\'o', 2, '"." or "["');
+    });
+
+    it('Test validateNamePath()', () => {
+        let r1 = ObjectAccessor.validateNamePath('foo.bar');
+        assert(r1.valid);
+        assert(r1.error === undefined);
+
+        let r2 = ObjectAccessor.validateNamePath('\'foo\'bar.baz');
+        assert(!r2.valid);
+        assert(r2.error instanceof ExpressionSyntaxError);
+        assert.equal(r2.error.position, 5);
+        assert.equal(r2.error.message, 'Unexpected "b" at position 5, expected "." or "[".');
+    });
+
+    it('Test joinNamePath()', () => {
+        assert.equal(ObjectAccessor.joinNamePath(['foo']), 'foo');
+        assert.equal(ObjectAccessor.joinNamePath(['foo', 'bar']), 'foo.bar');
+        assert.equal(ObjectAccessor.joinNamePath(['foo', 'a.b', 'it\'s']), 'foo.\'a.b\'.\'it\'\'s\'');
+        assert.equal(ObjectAccessor.joinNamePath(['items', 0, 'name']), 'items[0].name');
+        assert.equal(ObjectAccessor.joinNamePath([-1, 2]), '[-1][2]');
+        assert.equal(ObjectAccessor.joinNamePath(['*', '', 'a"b']), '\'*\'.\'\'.\'a"b\'');
+
+        let namesList = [
+            ['foo'],
+            ['foo', 'a.b', 'it\'s'],
+            ['bar"bar', 'hello# \'., world!'],
+            ['items', 0, 'name', -1],
+            ['items[0]', '*', '**', ''],
+            ['\'\'', 'a b', '[]']
+        ];
+
+        for (let names of namesList) {
+            let namePath = ObjectAccessor.joinNamePath(names);
+            assert.deepEqual(ObjectAccessor.splitNamePath(namePath, true), names);
+        }
+    });
+
+    it('Test formatNamePath()', () => {
+        let namePaths = [
+            'foo.bar',
+            'items[-1].*.\'*\'.**',
+            '**.id',
+            '[0][1]'
+        ];
+
+        for (let namePath of namePaths) {
+            let segments = ObjectAccessor.parseNamePath(namePath);
+            assert.equal(ObjectAccessor.formatNamePath(segments), namePath);
+        }
+    });
+
+    it('Test compile()', () => {
+        let a = {
+            meta: {
+                owner: { name: 'foo' }
+            },
+            items: [{ id: 1 }, { id: 2 }]
+        };
+
+        let accessor = ObjectAccessor.compile('meta.owner.name');
+        assert.equal(accessor.namePath, 'meta.owner.name');
+        assert.equal(accessor.get(a), 'foo');
+        assert(accessor.get({}) === undefined);
+        assert(accessor.get({ meta: null }) === undefined);
+        assert(accessor.has(a));
+
+        accessor.set(a, 'bar');
+        assert.equal(a.meta.owner.name, 'bar');
+
+        let b = {};
+        accessor.set(b, 'hello');
+        assert(ObjectUtils.objectEquals(b, { meta: { owner: { name: 'hello' } } }));
+
+        assert(accessor.delete(b));
+        assert(!accessor.has(b));
+
+        // 编译结果会被缓存
+        assert(ObjectAccessor.compile('meta.owner.name') === accessor);
+
+        let accessor2 = ObjectAccessor.compile('items[-1].id');
+        assert.equal(accessor2.get(a), 2);
+
+        let accessor3 = ObjectAccessor.compile('items.*.id');
+        assert.equal(accessor3.get(a), 1);
+        assert.deepEqual(accessor3.getAll(a).map(match => match.value), [1, 2]);
+
+        assert(!accessor.hasWildcard);
+        assert(!accessor2.hasWildcard);
+        assert(accessor3.hasWildcard);
+        assert(ObjectAccessor.compile('**.id').hasWildcard);
+        assert(ObjectAccessor.compile('meta_*', true).hasWildcard);
+
+        // 只访问自有的可枚举属性
+        assert(ObjectAccessor.compile('items.length').get(a) === undefined);
+        assert(ObjectAccessor.compile('toString').get(a) === undefined);
+
+        ObjectAccessor.clearCompiledCache();
+        assert(ObjectAccessor.compile('meta.owner.name') !== accessor);
+    });
+
+    it('Test listSegmentKeys()', () => {
+        let a = { id: 1, meta_a: 2, items: ['a', 'b', 'c'] };
+
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a, { type: 'property', name: 'id' }), ['id']);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a, { type: 'property', name: 'no' }), []);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a.items, { type: 'index', index: -1 }), [2]);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a.items, { type: 'index', index: 3 }), []);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a.items, { type: 'wildcard' }), [0, 1, 2]);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a, ObjectAccessor.parseNamePath('meta_*', false, true)[0]), ['meta_a']);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys(a, { type: 'recursive-wildcard' }), ['id', 'meta_a', 'items']);
+        assert.deepEqual(ObjectAccessor.listSegmentKeys('abc', { type: 'wildcard' }), []);
+    });
+
+    it('Test splitJsonPointer() and joinJsonPointer()', () => {
+        assert.deepEqual(ObjectAccessor.splitJsonPointer(''), []);
+        assert.deepEqual(ObjectAccessor.splitJsonPointer('/'), ['']);
+        assert.deepEqual(ObjectAccessor.splitJsonPointer('/addr/0/city'), ['addr', '0', 'city']);
+        assert.deepEqual(ObjectAccessor.splitJsonPointer('/a~1b/m~0n/~01'), ['a/b', 'm~n', '~1']);
+
+        assert.equal(ObjectAccessor.joinJsonPointer([]), '');
+        assert.equal(ObjectAccessor.joinJsonPointer(['addr', 0, 'city']), '/addr/0/city');
+        assert.equal(ObjectAccessor.joinJsonPointer(['a/b', 'm~n', '~1']), '/a~1b/m~0n/~01');
+
+        assert.throws(() => {
+            ObjectAccessor.joinJsonPointer(['items', -1]);
+        }, RangeError);
+
+        assert.throws(() => {
+            ObjectAccessor.splitJsonPointer('addr');
+        }, (e) => {
+            return e instanceof ExpressionSyntaxError && e.position === 0;
+        });
+
+        assert.throws(() => {
+            ObjectAccessor.splitJsonPointer('/a~2');
+        }, (e) => {
+            return e instanceof ExpressionSyntaxError && e.position === 3;
+        });
+
+        // 跟名称路径之间的转换
+        let names = ObjectAccessor.splitJsonPointer('/foo/a.b/it\'s');
+        assert.equal(ObjectAccessor.joinNamePath(names), 'foo.\'a.b\'.\'it\'\'s\'');
+        assert.equal(ObjectAccessor.joinJsonPointer(ObjectAccessor.splitNamePath('items[0].\'a/b\'')), '/items/0/a~1b');
+    });
+
+    it('Test getPropertyValueByJsonPointer()', () => {
+        let a = {
+            addr: [
+                { city: 'sz' },
+                { city: 'gz' }
+            ],
+            'a/b': 1,
+            'm~n': 2,
+            '': 3
+        };
+
+        assert(ObjectAccessor.getPropertyValueByJsonPointer(a, '') === a);
+        assert.equal(ObjectAccessor.getPropertyValueByJsonPointer(a, '/addr/1/city'), 'gz');
+        assert.equal(ObjectAccessor.getPropertyValueByJsonPointer(a, '/a~1b'), 1);
+        assert.equal(ObjectAccessor.getPropertyValueByJsonPointer(a, '/m~0n'), 2);
+        assert.equal(ObjectAccessor.getPropertyValueByJsonPointer(a, '/'), 3);
+
+        assert(ObjectAccessor.getPropertyValueByJsonPointer(a, '/addr/2/city') === undefined);
+        assert(ObjectAccessor.getPropertyValueByJsonPointer(a, '/addr/01') === undefined);
+        assert(ObjectAccessor.getPropertyValueByJsonPointer(a, '/no/way') === undefined);
+
+        assert(ObjectAccessor.hasPropertyByJsonPointer(a, '/addr/0'));
+        assert(ObjectAccessor.hasPropertyByJsonPointer(a, ''));
+        assert(!ObjectAccessor.hasPropertyByJsonPointer(a, '/addr/-'));
+        assert(!ObjectAccessor.hasPropertyByJsonPointer(a, '/addr/0/zip'));
+    });
+
+    it('Test setPropertyValueByJsonPointer() and deletePropertyByJsonPointer()', () => {
+        let a = {
+            addr: [
+                { city: 'sz' }
+            ]
+        };
+
+        ObjectAccessor.setPropertyValueByJsonPointer(a, '/addr/0/city', 'gz');
+        assert.equal(a.addr[0].city, 'gz');
+
+        ObjectAccessor.setPropertyValueByJsonPointer(a, '/addr/-', { city: 'sh' });
+        assert.equal(a.addr[1].city, 'sh');
+
+        // 数字索引只能指向已存在的元素
+        assert.throws(() => ObjectAccessor.setPropertyValueByJsonPointer(a, '/addr/5', {}), RangeError);
+        assert.throws(() => ObjectAccessor.setPropertyValueByJsonPointer(a, '/addr/2/city', 'bj'), RangeError);
+        assert.equal(a.addr.length, 2);
+
+        ObjectAccessor.setPropertyValueByJsonPointer(a, '/addr/-/city', 'bj');
+        assert.deepEqual(a.addr[2], { city: 'bj' });
+        assert(ObjectAccessor.deletePropertyByJsonPointer(a, '/addr/2'));
+
+        ObjectAccessor.setPropertyValueByJsonPointer(a, '/meta/a~1b', true);
+        assert(ObjectUtils.objectEquals(a.meta, { 'a/b': true }));
+
+        assert(ObjectAccessor.deletePropertyByJsonPointer(a, '/addr/0'));
+        assert.deepEqual(a.addr, [{ city: 'sh' }]);
+
+        assert(ObjectAccessor.deletePropertyByJsonPointer(a, '/meta/a~1b'));
+        assert(!ObjectAccessor.deletePropertyByJsonPointer(a, '/meta/a~1b'));
+        assert(ObjectUtils.objectEquals(a.meta, {}));
+    });
+
+    it('Test flattenObject() and unflattenObject()', () => {
+        let a = {
+            a: { b: 1 },
+            c: [2, { d: 3 }],
+            'e.f': { 'it\'s': 'foo' },
+            g: {},
+            h: [],
+            i: null,
+            j: new Date(1),
+            k: function () { }
+        };
+
+        let f = ObjectAccessor.flattenObject(a);
+        assert(ObjectUtils.objectEquals(f, {
+            'a.b': 1,
+            'c[0]': 2,
+            'c[1].d': 3,
+            '\'e.f\'.\'it\'\'s\'': 'foo',
+            g: {},
+            h: [],
+            i: null,
+            j: new Date(1)
+        }));
+
+        for (let namePath of Object.keys(f)) {
+            assert(ObjectUtils.equals(ObjectAccessor.getPropertyValueByNamePath(a, namePath), f[namePath]));
+        }
+
+        let u = ObjectAccessor.unflattenObject(f);
+        delete a.k;
+        assert(ObjectUtils.objectEquals(u, a));
+
+        // 根对象为数组
+        let f2 = ObjectAccessor.flattenObject([{ id: 1 }, { id: 2 }]);
+        assert(ObjectUtils.objectEquals(f2, { '[0].id': 1, '[1].id': 2 }));
+        assert.deepEqual(ObjectAccessor.unflattenObject(f2), [{ id: 1 }, { id: 2 }]);
+
+        assert.deepEqual(ObjectAccessor.unflattenObject({}), {});
+    });
+
+    it('Test listNamePaths()', () => {
+        let a = {
+            id: 1,
+            addr: { city: 'sz', zip: '518000' },
+            tags: ['foo', 'bar']
+        };
+
+        assert.deepEqual(ObjectAccessor.listNamePaths(a), [
+            'id', 'addr.city', 'addr.zip', 'tags[0]', 'tags[1]'
+        ]);
+    });
+
+    it('Test setIn() and updateIn()', () => {
+        let a = {
+            id: 1,
+            addr: { city: 'sz', zip: '518000' },
+            items: [{ id: 2 }, { id: 3 }],
+            meta: { owner: 'foo' }
+        };
+
+        let b = ObjectAccessor.setIn(a, 'addr.city', 'gz');
+        assert.equal(b.addr.city, 'gz');
+        assert.equal(a.addr.city, 'sz'); // 源对象不变
+        assert(b !== a);
+        assert(b.addr !== a.addr);
+        assert(b.items === a.items); // 共享没有改变的子对象
+        assert(b.meta === a.meta);
+
+        let c = ObjectAccessor.setIn(a, 'items[-1].id', 4);
+        assert.deepEqual(c.items, [{ id: 2 }, { id: 4 }]);
+        assert.deepEqual(a.items, [{ id: 2 }, { id: 3 }]);
+        assert(c.items[0] === a.items[0]);
+        assert(c.addr === a.addr);
+
+        // 值没有改变
+        assert(ObjectAccessor.setIn(a, 'addr.city', 'sz') === a);
+
+        // 创建中间对象
+        let d = ObjectAccessor.setIn(a, 'tags[0].name', 'vip');
+        assert.deepEqual(d.tags, [{ name: 'vip' }]);
+        assert(!Object.keys(a).includes('tags'));
+
+        let e = ObjectAccessor.updateIn(a, 'items[0].id', id => id * 10);
+        assert.equal(e.items[0].id, 20);
+        assert(e.items[1] === a.items[1]);
+
+        let f = ObjectAccessor.updateIn(a, 'count', count => (count || 0) + 1);
+        assert.equal(f.count, 1);
+
+        assert.throws(() => {
+            ObjectAccessor.setIn(a, 'items.*.id', 0);
+        }, TypeError);
+    });
+
+    it('Test removeIn()', () => {
+        let a = {
+            addr: { city: 'sz', zip: '518000' },
+            items: [{ id: 2 }, { id: 3 }],
+            meta: { owner: 'foo' }
+        };
+
+        let b = ObjectAccessor.removeIn(a, 'addr.zip');
+        assert.deepEqual(b.addr, { city: 'sz' });
+        assert.deepEqual(a.addr, { city: 'sz', zip: '518000' });
+        assert(b.items === a.items);
+
+        let c = ObjectAccessor.removeIn(a, 'items[0]');
+        assert.deepEqual(c.items, [{ id: 3 }]);
+        assert.equal(a.items.length, 2);
+        assert(c.items[0] === a.items[1]);
+
+        assert(ObjectAccessor.removeIn(a, 'addr.street') === a);
+        assert(ObjectAccessor.removeIn(a, 'no.way') === a);
+    });
+
+    it('Test track()', () => {
+        let a = {
+            id: 1,
+            addr: { city: 'sz', zip: '518000' },
+            items: [{ name: 'foo' }],
+            'a.b': { c: 1 }
+        };
+
+        let t = ObjectAccessor.track(a);
+        assert(!t.isDirty());
+        assert(t.addr === t.addr);
+
+        t.id = 1; // 值没有改变
+        assert(!t.isDirty());
+
+        t.addr.city = 'gz';
+        t.items[0].name = 'bar';
+        t.items.push({ name: 'hello' });
+        t['a.b'].c = 2;
+        delete t.addr.zip;
+
+        // 修改直接作用于源对象
+        assert.deepEqual(a.addr, { city: 'gz' });
+        assert.equal(a.items.length, 2);
+
+        assert.deepEqual(t.getChanges(), [
+            { namePath: 'addr.city', type: 'set', value: 'gz' },
+            { namePath: 'items[0].name', type: 'set', value: 'bar' },
+            { namePath: 'items[1]', type: 'set', value: { name: 'hello' } },
+            { namePath: '\'a.b\'.c', type: 'set', value: 2 },
+            { namePath: 'addr.zip', type: 'delete', value: undefined }
+        ]);
+
+        assert(t.isDirty());
+        assert(t.isDirty('addr'));
+        assert(t.isDirty('addr.city'));
+        assert(t.isDirty('items[0]'));
+        assert(t.isDirty('\'a.b\''));
+        assert(!t.isDirty('id'));
+        assert(!t.isDirty('a'));
+
+        t.reset();
+        assert(!t.isDirty());
+        assert.deepEqual(t.getChanges(), []);
+
+        // 替换整个子对象
+        t.addr = { city: 'sh' };
+        assert(t.isDirty('addr.city'));
+
+        // 赋值代理对象时，储存的是目标对象
+        t.meta = t.items;
+        assert(a.meta === a.items);
+    });
+
+    it('Test track() - moved array elements and built-in objects', () => {
+        let a = {
+            items: [{ name: 'foo', tags: ['x'] }, { name: 'bar', tags: ['y'] }],
+            m: new Map([['a', 1]]),
+            d: new Date(2000, 0, 1)
+        };
+
+        let t = ObjectAccessor.track(a);
+        assert.equal(t.items[0].name, 'foo');
+        assert.equal(t.items[1].name, 'bar');
+        assert.equal(t.items[1].tags[0], 'y');
+
+        t.items.shift();
+        t.reset();
+
+        // 元素移动之后，名称路径为元素当前的位置
+        t.items[0].name = 'z';
+        t.items[0].tags[0] = 'w';
+        assert.deepEqual(t.getChanges(), [
+            { namePath: 'items[0].name', type: 'set', value: 'z' },
+            { namePath: 'items[0].tags[0]', type: 'set', value: 'w' }
+        ]);
+        assert.deepEqual(a.items, [{ name: 'z', tags: ['w'] }]);
+
+        // 内置对象不会被代理
+        assert.equal(t.m.get('a'), 1);
+        assert(t.m === a.m);
+        assert.equal(t.d.getFullYear(), 2000);
+    });
+
+    it('Test compile() - wildcard pattern', () => {
+        let a = {
+            meta_a: 1,
+            meta_b: 2,
+            creationTime: 3,
+            'meta.c': 4,
+            'x*y': 5
+        };
+
+        let segments = ObjectAccessor.parseNamePath('meta_*', false, true);
+        assert.equal(segments.length, 1);
+        assert.equal(segments[0].type, 'wildcard');
+        assert.equal(segments[0].pattern, 'meta_*');
+        assert(segments[0].isMatch('meta_x'));
+        assert(!segments[0].isMatch('xmeta_'));
+
+        let getValues = (namePath) => {
+            return ObjectAccessor.compile(namePath, true).getAll(a).map(m => m.value);
+        };
+
+        assert.deepEqual(getValues('meta_*'), [1, 2]);
+        assert.deepEqual(getValues('*Time'), [3]);
+        assert.deepEqual(getValues('meta?*'), []);
+        assert.deepEqual(getValues('\'x*y\''), [5]);
+
+        assert.equal(ObjectAccessor.joinNamePath(['x*y']), '\'x*y\'');
+        assert.equal(ObjectAccessor.formatNamePath(ObjectAccessor.parseNamePath('a.meta_*', false, true)), 'a.meta_*');
+
+        // 默认不解析通配模式，含有 '*' 的名称为普通的属性名称
+        assert.deepEqual(ObjectAccessor.parseNamePath('meta_*'), [
+            { type: 'property', name: 'meta_*' }
+        ]);
+        assert.equal(ObjectAccessor.getPropertyValueByNamePath({ aab: 0, 'a*b': 1 }, 'a*b'), 1);
+        assert.deepEqual(ObjectAccessor.getPropertyValuesByNamePath(a, 'meta_*'), []);
+        assert.deepEqual(ObjectAccessor.getPropertyValuesByNamePath(a, 'x*y').map(m => m.value), [5]);
     });
-});
\ No newline at end of file
+});
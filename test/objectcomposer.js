@@ -1,6 +1,6 @@
 const assert = require('assert/strict');
 
-const {ObjectComposer, ObjectUtils} = require('../index');
+const {ExpressionSyntaxError, ObjectComposer, ObjectUtils} = require('../index');
 
 describe('ObjectComposer Test', () => {
 
@@ -119,4 +119,320 @@ describe('ObjectComposer Test', () => {
         assert(ObjectUtils.arrayEquals(Object.keys(r2).sort(), ['foo, bar. I\'m', 'id', 'n']));
     });
 
-});
\ No newline at end of file
+    it('Test splitProperityNameSequence() - strict', ()=>{
+        // 非严格模式返回出错位置之前已解析的名称
+        let ns1 = ObjectComposer.splitProperityNameSequence('\'foo\'bar, baz');
+        assert(ObjectUtils.arrayEquals(ns1, ['foo']));
+
+        let ns2 = ObjectComposer.splitProperityNameSequence('foo, \'bar\' , baz', true);
+        assert(ObjectUtils.arrayEquals(ns2, ['foo', 'bar', 'baz']));
+
+        let assertSyntaxError = (nameString, position, expected) => {
+            assert.throws(() => {
+                ObjectComposer.splitProperityNameSequence(nameString, true);
+            }, (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        assertSyntaxError('\'foo\'bar, baz', 5, '","');
+        assertSyntaxError('foo, \'bar', 9, '"\'"');
+        assertSyntaxError('foo,,bar', 4, 'name');
+        assertSyntaxError('foo, ', 5, 'name');
+        assertSyntaxError('fo"o', 2, '","');
+    });
+
+    it('Test validateProperityNameSequence()', ()=>{
+        assert(ObjectComposer.validateProperityNameSequence('id, name').valid);
+
+        let r1 = ObjectComposer.validateProperityNameSequence('id, "name');
+        assert(!r1.valid);
+        assert.equal(r1.error.position, 9);
+    });
+
+    it('Test joinProperityNameSequence()', ()=>{
+        assert.equal(ObjectComposer.joinProperityNameSequence(['id', 'name']), 'id, name');
+        assert.equal(ObjectComposer.joinProperityNameSequence(['id', 'foo, bar', 'it\'s']),
+            'id, \'foo, bar\', \'it\'\'s\'');
+
+        let names = ['foo', 'bar"bar', 'hello# \'., world!', ' space ', ''];
+        let nameString = ObjectComposer.joinProperityNameSequence(names);
+        assert(ObjectUtils.arrayEquals(ObjectComposer.splitProperityNameSequence(nameString, true), names));
+
+        // parseProperityNameSequence 方法的逆操作
+        let names2 = names.concat(['a.b', 'addr { city }', 'x AS y', '-x', '*', 'meta_*', '[0]', 'a[]']);
+        let entries = ObjectComposer.parseProperityNameSequence(
+            ObjectComposer.joinProperityNameSequence(names2), true);
+        assert.deepEqual(entries.map(entry => entry.segments), names2.map(name => {
+            return [{ type: 'property', name: name }];
+        }));
+        assert(entries.every(entry => !entry.isExcluded && entry.alias === undefined && entry.children === undefined));
+    });
+
+    it('Test parseProperityNameSequence()', ()=>{
+        let e1 = ObjectComposer.parseProperityNameSequence('id, addr.city, \'foo, bar\'.x , profile.displayName AS name');
+        assert.deepEqual(e1.map(entry => [entry.namePath, entry.alias]), [
+            ['id', undefined],
+            ['addr.city', undefined],
+            ['\'foo, bar\'.x', undefined],
+            ['profile.displayName', 'name']
+        ]);
+
+        let e2 = ObjectComposer.parseProperityNameSequence('foo bar, "a b" as \'c d\', items[0].id As first');
+        assert.deepEqual(e2.map(entry => [entry.namePath, entry.alias]), [
+            ['\'foo bar\'', undefined],
+            ['\'a b\'', 'c d'],
+            ['items[0].id', 'first']
+        ]);
+
+        let assertSyntaxError = (nameString, position, expected) => {
+            assert.throws(() => {
+                ObjectComposer.parseProperityNameSequence(nameString, true);
+            }, (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        assertSyntaxError('id, addr.', 9, 'name');
+        assertSyntaxError('id, addr.city AS a.b', 17, 'alias');
+        assertSyntaxError('id, ', 4, 'name');
+        assertSyntaxError('id, \'name', 9, '"\'"');
+    });
+
+    it('Test composeByProperityNameSequence() - name path and alias', () => {
+        let o1 = {
+            id: 123,
+            name: 'foo',
+            addr: { city: 'sz', zip: '518000' },
+            profile: { displayName: 'Foo', age: 20 },
+            items: [{ id: 1, total: 10 }, { id: 2, total: 20 }]
+        };
+
+        let r1 = ObjectComposer.composeByProperityNameSequence(o1, 'id, addr.city');
+        assert(ObjectUtils.objectEquals(r1, { id: 123, addr: { city: 'sz' } }));
+
+        let r2 = ObjectComposer.composeByProperityNameSequence(o1, 'id, profile.displayName AS name, addr.zip AS zip');
+        assert(ObjectUtils.objectEquals(r2, { id: 123, name: 'Foo', zip: '518000' }));
+
+        let r3 = ObjectComposer.composeByProperityNameSequence(o1, 'items.*.id');
+        assert.deepEqual(r3, { items: [{ id: 1 }, { id: 2 }] });
+
+        let r4 = ObjectComposer.composeByProperityNameSequence(o1, 'id, items.*.total AS totals, items[-1].id AS lastId');
+        assert.deepEqual(r4, { id: 123, totals: [10, 20], lastId: 2 });
+
+        // 不存在的属性
+        let r5 = ObjectComposer.composeByProperityNameSequence(o1, 'id, addr.street, no.way AS foo');
+        assert(ObjectUtils.objectEquals(r5, { id: 123 }));
+
+        // 挑选的数组元素是连续的，并保持原来的顺序
+        let r6 = ObjectComposer.composeByProperityNameSequence(o1, 'items[1].id');
+        assert.deepEqual(r6, { items: [{ id: 2 }] });
+        assert.equal(Object.keys(r6.items).length, 1);
+
+        let r7 = ObjectComposer.composeByProperityNameSequence(o1, 'items[-1].total, items[0].id');
+        assert.deepEqual(r7, { items: [{ id: 1 }, { total: 20 }] });
+
+        let o2 = { orders: [{ id: 1 }, { no: 2 }, { id: 3, tags: ['a', 'b', 'c'] }] };
+        let r8 = ObjectComposer.composeByProperityNameSequence(o2, 'orders.*.id, orders.*.tags[2]');
+        assert.deepEqual(r8, { orders: [{ id: 1 }, { id: 3, tags: ['c'] }] });
+
+        // 之前的项挑选的值跟源对象共享，之后的项不会修改它
+        let o3 = { addr: { city: 'sz', geo: { lat: 1, lng: 2 } }, tags: ['a', 'b'] };
+        let r9 = ObjectComposer.composeByProperityNameSequence(o3, 'addr, addr.geo { lat }, tags, tags[1]');
+        assert.deepEqual(r9, { addr: { city: 'sz', geo: { lat: 1 } }, tags: ['a', 'b'] });
+        assert.deepEqual(o3, { addr: { city: 'sz', geo: { lat: 1, lng: 2 } }, tags: ['a', 'b'] });
+
+        let r10 = ObjectComposer.composeByProperityNameSequence(o3, 'addr.geo, addr.geo.lat');
+        assert(r10.addr.geo !== o3.addr.geo);
+        assert.deepEqual(o3.addr.geo, { lat: 1, lng: 2 });
+    });
+
+    it('Test parseProperityNameSequence() - selection', ()=>{
+        let e1 = ObjectComposer.parseProperityNameSequence('id, addr { city, zip }, orders[] AS list { id, items[] { sku } }');
+        assert.equal(e1.length, 3);
+        assert.equal(e1[1].namePath, 'addr');
+        assert.deepEqual(e1[1].children.map(entry => entry.namePath), ['city', 'zip']);
+        assert.equal(e1[2].namePath, 'orders');
+        assert.equal(e1[2].alias, 'list');
+        assert(e1[2].isArray);
+        assert.equal(e1[2].children[1].namePath, 'items');
+        assert(e1[2].children[1].isArray);
+        assert.deepEqual(e1[2].children[1].children.map(entry => entry.namePath), ['sku']);
+
+        let assertSyntaxError = (nameString, position, expected) => {
+            assert.throws(() => {
+                ObjectComposer.parseProperityNameSequence(nameString, true);
+            }, (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        assertSyntaxError('id, addr { city', 15, '"}"');
+        assertSyntaxError('id, addr { city } }', 18, '","');
+        assertSyntaxError('addr { city } name', 14, '","');
+        assertSyntaxError('id, { city }', 4, 'name');
+        assertSyntaxError('addr { city, }', 13, 'name');
+    });
+
+    it('Test composeByProperityNameSequence() - selection', () => {
+        let o1 = {
+            id: 123,
+            name: 'foo',
+            addr: { city: 'sz', zip: '518000', street: 'xyz' },
+            orders: [
+                { id: 1, total: 10, items: [{ sku: 'a', qty: 1 }] },
+                { id: 2, total: 20, items: [] }
+            ],
+            tags: ['x', 'y'],
+            deletedTime: null
+        };
+
+        let r1 = ObjectComposer.composeByProperityNameSequence(o1, 'id, name, addr { city, zip }, orders[] { id, total }');
+        assert.deepEqual(r1, {
+            id: 123,
+            name: 'foo',
+            addr: { city: 'sz', zip: '518000' },
+            orders: [
+                { id: 1, total: 10 },
+                { id: 2, total: 20 }
+            ]
+        });
+
+        let r2 = ObjectComposer.composeByProperityNameSequence(o1, 'orders AS list { id, items { sku } }');
+        assert.deepEqual(r2, {
+            list: [
+                { id: 1, items: [{ sku: 'a' }] },
+                { id: 2, items: [] }
+            ]
+        });
+
+        // '[]' 要求值是数组
+        let r3 = ObjectComposer.composeByProperityNameSequence(o1, 'id, addr[] { city }, tags[]');
+        assert.deepEqual(r3, { id: 123, tags: ['x', 'y'] });
+
+        // 值为 null 时保持原值
+        let r4 = ObjectComposer.composeByProperityNameSequence(o1, 'deletedTime { foo }, addr { city AS c }');
+        assert.deepEqual(r4, { deletedTime: null, addr: { c: 'sz' } });
+    });
+
+    it('Test composeByProperityNameSequence() - exclusion and wildcard', () => {
+        let o1 = {
+            id: 123,
+            name: 'foo',
+            password: 'secret',
+            internal: { token: 'abc', level: 1 },
+            creationTime: new Date(1),
+            lastModifiedTime: new Date(2),
+            addr: { city: 'sz', zip: '518000' },
+            users: [
+                { id: 1, password: 'x' },
+                { id: 2, password: 'y' }
+            ]
+        };
+
+        let r1 = ObjectComposer.composeByProperityNameSequence(o1, '*, -password, -internal');
+        assert.deepEqual(Object.keys(r1), ['id', 'name', 'creationTime', 'lastModifiedTime', 'addr', 'users']);
+
+        // 只有排除项
+        let r2 = ObjectComposer.composeByProperityNameSequence(o1, '-password, -internal.token, -users.*.password, -*Time');
+        assert.deepEqual(r2, {
+            id: 123,
+            name: 'foo',
+            internal: { level: 1 },
+            addr: { city: 'sz', zip: '518000' },
+            users: [{ id: 1 }, { id: 2 }]
+        });
+
+        // 源对象不会被修改
+        assert.equal(o1.internal.token, 'abc');
+        assert.equal(o1.users[0].password, 'x');
+        assert(r2.addr === o1.addr);
+
+        let r3 = ObjectComposer.composeByProperityNameSequence(o1, 'id, addr { -zip }, users { *, -password }');
+        assert.deepEqual(r3, {
+            id: 123,
+            addr: { city: 'sz' },
+            users: [{ id: 1 }, { id: 2 }]
+        });
+
+        let r4 = ObjectComposer.composeByProperityNameSequence(o1, 'id, *Time');
+        assert(ObjectUtils.objectEquals(r4, {
+            id: 123,
+            creationTime: new Date(1),
+            lastModifiedTime: new Date(2)
+        }));
+
+        let e1 = ObjectComposer.parseProperityNameSequence('*, - password, -\'-x\'');
+        assert.deepEqual(e1.map(entry => [entry.namePath, entry.isExcluded]), [
+            ['*', false],
+            ['password', true],
+            ['-x', true]
+        ]);
+
+        assert.throws(() => {
+            ObjectComposer.parseProperityNameSequence('-addr { city }', true);
+        }, ExpressionSyntaxError);
+
+        assert.throws(() => {
+            ObjectComposer.parseProperityNameSequence('-addr AS a', true);
+        }, ExpressionSyntaxError);
+    });
+
+    it('Test compose() - field spec', () => {
+        let o1 = {
+            id: 123,
+            first: 'Foo',
+            last: 'Bar',
+            addr: { city: 'sz' },
+            role: undefined
+        };
+
+        let fields = {
+            id: 'id',
+            city: 'addr.city',
+            zip: { path: 'addr.zip', default: '000000' },
+            fullName: (user) => user.first + ' ' + user.last,
+            nickName: { get: (user) => user.nick, default: 'none' },
+            role: { default: 'guest' },
+            status: { default: 'active' },
+            score: 'score'
+        };
+
+        let r1 = ObjectComposer.compose(o1, fields);
+        assert.deepEqual(r1, {
+            id: 123,
+            city: 'sz',
+            zip: '000000',
+            fullName: 'Foo Bar',
+            nickName: 'none',
+            role: 'guest',
+            status: 'active'
+        });
+    });
+
+    it('Test composeArray()', () => {
+        let items = [
+            { id: 1, name: 'foo', addr: { city: 'sz' } },
+            { id: 2, name: 'bar' }
+        ];
+
+        let r1 = ObjectComposer.composeArray(items, ['id']);
+        assert.deepEqual(r1, [{ id: 1 }, { id: 2 }]);
+
+        let r2 = ObjectComposer.composeArray(items, {
+            key: 'id',
+            city: { path: 'addr.city', default: null }
+        });
+        assert.deepEqual(r2, [{ key: 1, city: 'sz' }, { key: 2, city: null }]);
+
+        let r3 = ObjectComposer.composeArray(items, 'name, addr { city }');
+        assert.deepEqual(r3, [{ name: 'foo', addr: { city: 'sz' } }, { name: 'bar' }]);
+    });
+
+});
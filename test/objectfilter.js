@@ -0,0 +1,159 @@
+const assert = require('assert/strict');
+
+const { ExpressionSyntaxError, ObjectFilter } = require('../index');
+
+describe('ObjectFilter Test', () => {
+
+    let createUsers = () => {
+        return [
+            { id: 1, name: 'Foo', age: 20, addr: { city: 'Shenzhen' }, tags: ['vip'] },
+            { id: 2, name: 'bar', age: 17, addr: { city: 'Shenzhen' }, deleted: true },
+            { id: 3, name: 'Hello', age: 35, addr: { city: 'Guangzhou' }, tags: ['new', 'vip'] },
+            { id: 4, name: 'world', age: 18, addr: null, tags: [] },
+            { id: 5, name: 'it\'s "ok"', age: 40, 'file name': 'a.txt', deleted: false }
+        ];
+    };
+
+    let filterIds = (items, expression) => {
+        return ObjectFilter.filter(items, expression).map(item => item.id);
+    };
+
+    it('Test filter() - comparison and boolean operators', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, 'age >= 18'), [1, 3, 4, 5]);
+        assert.deepEqual(filterIds(users, 'age < 18 OR age > 35'), [2, 5]);
+        assert.deepEqual(filterIds(users, 'addr.city = "Shenzhen"'), [1, 2]);
+        assert.deepEqual(filterIds(users, 'addr.city == "Shenzhen" and age != 17'), [1]);
+        assert.deepEqual(filterIds(users, 'addr.city <> "Shenzhen"'), [3, 4, 5]);
+        assert.deepEqual(filterIds(users, 'NOT deleted'), [1, 3, 4, 5]);
+        assert.deepEqual(filterIds(users, 'deleted = FALSE'), [5]);
+        assert.deepEqual(filterIds(users, 'age>=18 AND(addr.city="Shenzhen" OR tags CONTAINS "vip")'), [1, 3]);
+
+        assert.deepEqual(filterIds(users,
+            'age >= 18 AND (addr.city = "Shenzhen" OR tags CONTAINS "vip") AND NOT deleted'), [1, 3]);
+
+        // AND 的优先级高于 OR
+        assert.deepEqual(filterIds(users, 'id = 1 OR id = 2 AND deleted'), [1, 2]);
+        assert.deepEqual(filterIds(users, '(id = 1 OR id = 2) AND deleted'), [2]);
+        assert.deepEqual(filterIds(users, 'NOT NOT deleted'), [2]);
+
+        // 大小比较仅对相同类型有效
+        assert.deepEqual(filterIds(users, 'name > 10'), []);
+        assert.deepEqual(filterIds(users, 'name >= "a"'), [2, 4, 5]);
+
+        // 比较两个名称路径
+        assert.deepEqual(filterIds([{ id: 1, a: 1, b: 1 }, { id: 2, a: 1, b: 2 }], 'a = b'), [1]);
+    });
+
+    it('Test filter() - IN, LIKE, GLOB, CONTAINS and IS NULL', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, 'age IN (17, 18, 19)'), [2, 4]);
+        assert.deepEqual(filterIds(users, 'addr.city not in ("Shenzhen", NULL)'), [3]);
+        assert.deepEqual(filterIds(users, 'name LIKE "h%"'), [3]);
+        assert.deepEqual(filterIds(users, 'name LIKE "_o%"'), [1, 4]);
+        assert.deepEqual(filterIds(users, 'name NOT LIKE "%o%"'), [2]);
+        assert.deepEqual(filterIds(users, 'name GLOB "*o"'), [1, 3]);
+        assert.deepEqual(filterIds(users, 'name GLOB "?ar"'), [2]);
+        assert.deepEqual(filterIds(users, 'name LIKE "it\'s ""ok"""'), [5]);
+
+        // 模式的匹配时间跟文本长度成线性关系，不会因为回溯而超时
+        let longText = { s: 'a'.repeat(10000) };
+        assert.equal(ObjectFilter.test(longText, 's LIKE "%a%a%a%a%a%a%c"'), false);
+        assert.equal(ObjectFilter.test(longText, 's GLOB "*a*a*a*a*a*a*c"'), false);
+        assert.equal(ObjectFilter.test(longText, 's LIKE "%A%a%_"'), true);
+        assert.equal(ObjectFilter.test({ s: 'abcbd' }, 's GLOB "a*b?"'), true);
+        assert.equal(ObjectFilter.test({ s: 'abcbd' }, 's GLOB "a*c"'), false);
+        assert.equal(ObjectFilter.test({ s: '' }, 's LIKE "%"'), true);
+        assert.equal(ObjectFilter.test({ s: '' }, 's LIKE "_"'), false);
+        assert.deepEqual(filterIds(users, 'tags CONTAINS "vip"'), [1, 3]);
+        assert.deepEqual(filterIds(users, 'tags NOT CONTAINS "vip"'), [2, 4, 5]);
+        assert.deepEqual(filterIds(users, 'name CONTAINS "ll"'), [3]);
+        assert.deepEqual(filterIds(users, 'addr IS NULL'), [4, 5]);
+        assert.deepEqual(filterIds(users, 'addr.city IS NOT NULL'), [1, 2, 3]);
+        assert.deepEqual(filterIds(users, 'deleted is null'), [1, 3, 4]);
+        assert.deepEqual(filterIds(users, 'deleted = NULL'), [1, 3, 4]);
+        assert.deepEqual(filterIds(users, 'deleted != NULL'), [2, 5]);
+    });
+
+    it('Test filter() - name paths', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, '\'file name\' = "a.txt"'), [5]);
+        assert.deepEqual(filterIds(users, 'tags[0] = "new"'), [3]);
+        assert.deepEqual(filterIds(users, 'tags[-1] = "vip"'), [1, 3]);
+        assert.deepEqual(filterIds(users, '\'null\' IS NULL AND id < 2'), [1]);
+
+        // 通配符：任意一个匹配的值满足条件即为真
+        let orders = [
+            { id: 1, items: [{ price: 5 }, { price: 20 }] },
+            { id: 2, items: [{ price: 5 }, { price: 8 }] },
+            { id: 3, items: [] }
+        ];
+        assert.deepEqual(filterIds(orders, 'items.*.price > 10'), [1]);
+        assert.deepEqual(filterIds(orders, 'items.*.price IN (8)'), [2]);
+        assert.deepEqual(filterIds(orders, 'NOT items.*.price > 10'), [2, 3]);
+    });
+
+    it('Test compile() and test()', () => {
+        let users = createUsers();
+
+        let predicate = ObjectFilter.compile('age >= 18');
+        assert.equal(typeof predicate, 'function');
+        assert.equal(ObjectFilter.compile('age >= 18'), predicate);
+        assert.deepEqual(users.filter(predicate).map(user => user.id), [1, 3, 4, 5]);
+
+        assert.equal(ObjectFilter.test(users[0], 'tags CONTAINS "vip"'), true);
+        assert.equal(ObjectFilter.test(users[1], 'tags CONTAINS "vip"'), false);
+        assert.equal(ObjectFilter.test({ d: new Date(2000, 0, 1) }, 'd IS NOT NULL'), true);
+    });
+
+    it('Test parse()', () => {
+        assert.deepEqual(ObjectFilter.parse('NOT a.b = 1'), {
+            type: 'not',
+            operand: {
+                type: 'compare',
+                operator: '==',
+                left: { type: 'path', namePath: 'a.b', position: 4 },
+                right: { type: 'literal', value: 1, position: 10 }
+            }
+        });
+
+        assert.deepEqual(ObjectFilter.parse('x IN (1, "a") OR y IS NOT NULL'), {
+            type: 'or',
+            left: { type: 'in', operand: { type: 'path', namePath: 'x', position: 0 }, values: [1, 'a'], negated: false },
+            right: { type: 'is-null', operand: { type: 'path', namePath: 'y', position: 17 }, negated: true }
+        });
+    });
+
+    it('Test parse() - syntax error', () => {
+        let checkError = (expression, position, expected) => {
+            assert.throws(() => ObjectFilter.parse(expression), (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        checkError('', 0, 'name path, string, number, "TRUE", "FALSE" or "NULL"');
+        checkError('age >= ', 7, 'name path, string, number, "TRUE", "FALSE" or "NULL"');
+        checkError('age 18', 4, '"AND", "OR" or end of expression');
+        checkError('(age > 1', 8, '")"');
+        checkError('name = "foo', 11, '\'"\'');
+        checkError('name LIKE foo', 10, 'string');
+        checkError('x IN (1, y)', 9, 'string, number, "TRUE", "FALSE" or "NULL"');
+        checkError('x IS NUL', 5, '"NULL"');
+        checkError('x NOT = 1', 6, '"IN", "LIKE", "GLOB" or "CONTAINS"');
+        checkError('a..b = 1', 2, 'name');
+        checkError('a.\'b = 1', 8, '"\'"');
+        checkError('a = 1 AND or', 10, 'name path, string, number, "TRUE", "FALSE" or "NULL"');
+
+        let result = ObjectFilter.validate('age >= AND');
+        assert(!result.valid);
+        assert.equal(result.error.message,
+            'Unexpected "A" at position 7, expected name path, string, number, "TRUE", "FALSE" or "NULL".');
+
+        assert.deepEqual(ObjectFilter.validate('age >= 18'), { valid: true, error: undefined });
+    });
+});
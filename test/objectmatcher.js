@@ -0,0 +1,124 @@
+const assert = require('assert/strict');
+
+const { ObjectMatcher } = require('../index');
+
+describe('ObjectMatcher Test', () => {
+
+    let createUsers = () => {
+        return [
+            { id: 1, name: 'Foo', age: 20, addr: { city: 'SZ' }, tags: ['vip', 'new'], scores: [80, 95] },
+            { id: 2, name: 'bar', age: 17, addr: { city: 'GZ' }, tags: [], scores: [60] },
+            { id: 3, name: 'shell', age: 35, addr: { city: 'BJ' }, tags: ['vip'], born: new Date(1990, 0, 1) },
+            { id: 4, name: 'Shark', age: 18, addr: null, deleted: true },
+            {
+                id: 5, name: 'world', age: 40, addr: { city: 'SZ' },
+                orders: [{ price: 5, paid: true }, { price: 20, paid: false }]
+            }
+        ];
+    };
+
+    let filterIds = (items, query) => {
+        return ObjectMatcher.filter(items, query).map(item => item.id);
+    };
+
+    it('Test filter() - equality and comparison', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, {}), [1, 2, 3, 4, 5]);
+        assert.deepEqual(filterIds(users, { age: 20 }), [1]);
+        assert.deepEqual(filterIds(users, { 'addr.city': 'SZ', age: 40 }), [5]);
+        assert.deepEqual(filterIds(users, { addr: { city: 'GZ' } }), [2]);
+        assert.deepEqual(filterIds(users, { age: { $gte: 18 } }), [1, 3, 4, 5]);
+        assert.deepEqual(filterIds(users, { age: { $gt: 18, $lt: 40 } }), [1, 3]);
+        assert.deepEqual(filterIds(users, { age: { $lte: '20' } }), []);
+        assert.deepEqual(filterIds(users, { age: { $ne: 20 } }), [2, 3, 4, 5]);
+        assert.deepEqual(filterIds(users, { born: { $lt: new Date(2000, 0, 1) } }), [3]);
+        assert.deepEqual(filterIds(users, { born: new Date(1990, 0, 1) }), [3]);
+
+        // 数组：数组本身或者任意一个元素相等即为真
+        assert.deepEqual(filterIds(users, { tags: 'vip' }), [1, 3]);
+        assert.deepEqual(filterIds(users, { tags: ['vip'] }), [3]);
+        assert.deepEqual(filterIds(users, { scores: { $gt: 90 } }), [1]);
+
+        // 不存在的属性视为 null
+        assert.deepEqual(filterIds(users, { deleted: null }), [1, 2, 3, 5]);
+        assert.deepEqual(filterIds(users, { deleted: { $ne: null } }), [4]);
+    });
+
+    it('Test filter() - $in, $nin, $all, $exists, $regex and $size', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, { 'addr.city': { $in: ['SZ', 'GZ'] } }), [1, 2, 5]);
+        assert.deepEqual(filterIds(users, { 'addr.city': { $nin: ['SZ', 'GZ'] } }), [3, 4]);
+        assert.deepEqual(filterIds(users, { tags: { $in: ['new', 'none'] } }), [1]);
+        assert.deepEqual(filterIds(users, { tags: { $all: ['new', 'vip'] } }), [1]);
+        assert.deepEqual(filterIds(users, { deleted: { $exists: true } }), [4]);
+        assert.deepEqual(filterIds(users, { tags: { $exists: false } }), [4, 5]);
+        assert.deepEqual(filterIds(users, { name: { $regex: '^sh', $options: 'i' } }), [3, 4]);
+        assert.deepEqual(filterIds(users, { name: { $regex: /^sh/ } }), [3]);
+        assert.deepEqual(filterIds(users, { name: /o/ }), [1, 5]);
+        assert.deepEqual(filterIds(users, { tags: /^n/ }), [1]);
+        assert.deepEqual(filterIds(users, { tags: { $size: 0 } }), [2]);
+        assert.deepEqual(filterIds(users, { tags: { $size: 1 } }), [3]);
+
+        // 带 g 标志的正则表达式
+        let regex = /o/g;
+        assert.deepEqual(filterIds(users, { name: regex }), [1, 5]);
+        assert.deepEqual(filterIds(users, { name: regex }), [1, 5]);
+    });
+
+    it('Test filter() - $elemMatch, $not and logical operators', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, { scores: { $elemMatch: { $gte: 60, $lt: 70 } } }), [2]);
+        assert.deepEqual(filterIds(users, { orders: { $elemMatch: { price: { $gt: 10 }, paid: false } } }), [5]);
+        assert.deepEqual(filterIds(users, { orders: { $elemMatch: { price: { $gt: 10 }, paid: true } } }), []);
+        assert.deepEqual(filterIds(users, {
+            orders: { $elemMatch: { $or: [{ price: 5, paid: false }, { price: { $gt: 10 } }] } }
+        }), [5]);
+        assert.deepEqual(filterIds(users, {
+            orders: { $elemMatch: { $or: [{ price: 5, paid: false }, { price: 30 }] } }
+        }), []);
+        assert.deepEqual(filterIds(users, { orders: { $elemMatch: { $nor: [{ paid: true }] } } }), [5]);
+
+        assert.deepEqual(filterIds(users, { age: { $not: { $gte: 20 } } }), [2, 4]);
+        assert.deepEqual(filterIds(users, { name: { $not: /^s/i } }), [1, 2, 5]);
+
+        assert.deepEqual(filterIds(users, { $or: [{ age: { $lt: 18 } }, { deleted: true }] }), [2, 4]);
+        assert.deepEqual(filterIds(users, { $and: [{ age: { $gt: 18 } }, { 'addr.city': 'SZ' }] }), [1, 5]);
+        assert.deepEqual(filterIds(users, { $nor: [{ age: { $lt: 18 } }, { deleted: true }] }), [1, 3, 5]);
+
+        assert.deepEqual(filterIds(users, {
+            age: { $gte: 18 },
+            'addr.city': { $in: ['SZ', 'GZ'] },
+            $or: [{ tags: 'vip' }, { 'orders.*.paid': true }]
+        }), [1, 5]);
+    });
+
+    it('Test filter() - wildcard name paths', () => {
+        let users = createUsers();
+
+        assert.deepEqual(filterIds(users, { 'orders.*.price': { $gt: 10 } }), [5]);
+        assert.deepEqual(filterIds(users, { 'orders.*.price': { $exists: true } }), [5]);
+        assert.deepEqual(filterIds(users, { 'orders.*.price': { $exists: false } }), [1, 2, 3, 4]);
+    });
+
+    it('Test compile() and match()', () => {
+        let users = createUsers();
+
+        let predicate = ObjectMatcher.compile({ age: { $gte: 18 } });
+        assert.deepEqual(users.filter(predicate).map(user => user.id), [1, 3, 4, 5]);
+
+        assert.equal(ObjectMatcher.match(users[0], { tags: 'vip' }), true);
+        assert.equal(ObjectMatcher.match(users[1], { tags: 'vip' }), false);
+
+        assert.throws(() => ObjectMatcher.compile({ age: { $foo: 1 } }), {
+            name: 'RangeError',
+            message: 'Unknown query operator "$foo".'
+        });
+        assert.throws(() => ObjectMatcher.compile({ $xor: [] }), RangeError);
+        assert.throws(() => ObjectMatcher.compile({ $or: {} }), TypeError);
+        assert.throws(() => ObjectMatcher.compile({ age: { $in: 1 } }), TypeError);
+        assert.throws(() => ObjectMatcher.compile({ age: { $not: 1 } }), TypeError);
+    });
+});
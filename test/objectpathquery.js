@@ -0,0 +1,139 @@
+const assert = require('assert/strict');
+
+const { ExpressionSyntaxError, ObjectAccessor, ObjectPathQuery } = require('../index');
+
+describe('ObjectPathQuery Test', () => {
+
+    let createStore = () => {
+        return {
+            store: {
+                books: [
+                    { id: 1, title: 'foo', price: 8, tags: ['vip'] },
+                    { id: 2, title: 'bar', price: 12, isbn: '123' },
+                    { id: 3, title: 'hello', price: 9.5, 'a.b': true },
+                    { id: 4, title: 'world', price: 20, checked: true }
+                ],
+                bicycle: { id: 5, color: 'red', price: 19 }
+            }
+        };
+    };
+
+    let queryNamePaths = (sourceObject, expression) => {
+        return ObjectPathQuery.query(sourceObject, expression).map(match => {
+            return ObjectAccessor.joinNamePath(match.names);
+        });
+    };
+
+    it('Test query() - name path', () => {
+        let s = createStore();
+
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.bicycle.color'), ['red']);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[0].title'), ['foo']);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[-1].title'), ['world']);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[2].\'a.b\''), [true]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[2][\'a.b\']'), [true]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.no.way'), []);
+
+        assert.deepEqual(ObjectPathQuery.query(s, 'store.books[1].id'), [
+            { names: ['store', 'books', 1, 'id'], value: 2 }
+        ]);
+    });
+
+    it('Test query() - wildcard and recursive descent', () => {
+        let s = createStore();
+
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books.*.id'), [1, 2, 3, 4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[*].id'), [1, 2, 3, 4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, '..id'), [1, 2, 3, 4, 5]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, '**.id'), [1, 2, 3, 4, 5]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store..price'), [8, 12, 9.5, 20, 19]);
+
+        assert.deepEqual(queryNamePaths(s, '..tags[0]'), ['store.books[0].tags[0]']);
+    });
+
+    it('Test query() - name path grammar of ObjectAccessor', () => {
+        let o = { meta_a: 1, meta_b: 2, other: 3, 'x*y': 4, items: [{ meta_c: 5 }] };
+
+        // 名称、索引和通配符的语法跟 ObjectAccessor.parseNamePath 的相同
+        assert.deepEqual(ObjectPathQuery.queryValues(o, 'meta_*'), [1, 2]);
+        assert.deepEqual(ObjectPathQuery.queryValues(o, '..meta_*'), [1, 2, 5]);
+        assert.deepEqual(ObjectPathQuery.queryValues(o, '\'x*y\''), [4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(o, 'items[-1].meta_c'), [5]);
+        assert.deepEqual(ObjectPathQuery.queryValues(o, 'items[?(@.meta_c > 1)].meta_c'), [5]);
+
+        assert.deepEqual(ObjectPathQuery.parse('a.b[0]..c[1:]'), [
+            { type: 'property', name: 'a' },
+            { type: 'property', name: 'b' },
+            { type: 'index', index: 0 },
+            { type: 'recursive-wildcard' },
+            { type: 'property', name: 'c' },
+            { type: 'slice', start: 1, end: undefined, step: 1 }
+        ]);
+    });
+
+    it('Test query() - union and slice', () => {
+        let s = createStore();
+
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[0, 2].id'), [1, 3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.bicycle[\'id\', "color"]'), [5, 'red']);
+
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[1:3].id'), [2, 3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[:2].id'), [1, 2]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[-2:].id'), [3, 4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[::2].id'), [1, 3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[::-1].id'), [4, 3, 2, 1]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[5:].id'), []);
+    });
+
+    it('Test query() - filter', () => {
+        let s = createStore();
+
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.price < 10)].title'), ['foo', 'hello']);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.price >= 12 && @.price <= 20)].id'), [2, 4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.id == 1 || @.title == \'world\')].id'), [1, 4]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(!(@.price > 10))].id'), [1, 3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.isbn)].id'), [2]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(!@.checked)].id'), [1, 2, 3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.tags[0] == "vip")].id'), [1]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@[\'a.b\'] == true)].id'), [3]);
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.price != null)].id'), [1, 2, 3, 4]);
+
+        // 字符串跟数字之间不能比较大小
+        assert.deepEqual(ObjectPathQuery.queryValues(s, 'store.books[?(@.isbn > 100)].id'), []);
+
+        // 过滤对象的属性值
+        assert.deepEqual(queryNamePaths(s, 'store[?(@.color == \'red\')]'), ['store.bicycle']);
+
+        // 递归下降结合过滤
+        assert.deepEqual(ObjectPathQuery.queryValues(s, '..[?(@.price > 15)].id'), [5, 4]);
+    });
+
+    it('Test parse() - syntax error', () => {
+        let assertSyntaxError = (expression, position) => {
+            assert.throws(() => {
+                ObjectPathQuery.parse(expression);
+            }, (e) => {
+                return e instanceof ExpressionSyntaxError &&
+                    e.position === position;
+            });
+        };
+
+        assertSyntaxError('', 0);
+        assertSyntaxError('foo.', 4);
+        assertSyntaxError('foo[abc]', 4);
+        assertSyntaxError('foo[0', 5);
+        assertSyntaxError('foo[?(@.a < )]', 12);
+        assertSyntaxError('foo[?(@.a == 1]', 14);
+        assertSyntaxError('foo[::0]', 6);
+        assertSyntaxError('\'foo\'bar', 5);
+        assertSyntaxError('foo[\'bar]', 9);
+    });
+
+    it('Test compile()', () => {
+        let s = createStore();
+
+        let compiled = ObjectPathQuery.compile('store.books[?(@.price < 10)].id');
+        assert.deepEqual(compiled.queryValues(s), [1, 3]);
+        assert(ObjectPathQuery.compile('store.books[?(@.price < 10)].id') === compiled);
+    });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert/strict');
+
+const { ObjectQuery, ObjectSorter, ExpressionSyntaxError } = require('../index');
+
+describe('ObjectQuery Test', () => {
+
+    let createUsers = () => {
+        return [
+            { id: 1, name: 'foo', age: 20, addr: { city: 'SZ' } },
+            { id: 2, name: 'bar', age: 17, addr: { city: 'GZ' } },
+            { id: 3, name: 'shell', age: 35, addr: { city: 'BJ' } },
+            { id: 4, name: 'shark', age: 18, addr: { city: 'SZ' } },
+            { id: 5, name: 'world', age: 40, addr: { city: 'GZ' } },
+            { id: 6, name: 'apple', age: 18, addr: { city: 'SH' } }
+        ];
+    };
+
+    let getIds = (items) => {
+        return items.map(item => item.id);
+    };
+
+    it('Test toArray() - where', () => {
+        let users = createUsers();
+
+        assert.deepEqual(getIds(ObjectQuery.from(users).toArray()), [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(getIds(ObjectQuery.from(users).where('age >= 18').toArray()), [1, 3, 4, 5, 6]);
+        assert.deepEqual(getIds(ObjectQuery.from(users).where({ 'addr.city': { $in: ['SZ', 'GZ'] } }).toArray()), [1, 2, 4, 5]);
+        assert.deepEqual(getIds(ObjectQuery.from(users).where(user => user.id % 2 === 0).toArray()), [2, 4, 6]);
+
+        // 多个过滤条件之间为 “与” 的关系
+        let result = ObjectQuery.from(users)
+            .where('age >= 18')
+            .where({ 'addr.city': 'SZ' })
+            .toArray();
+        assert.deepEqual(getIds(result), [1, 4]);
+
+        assert.throws(() => ObjectQuery.from(users).where('age >='), ExpressionSyntaxError);
+        assert.throws(() => ObjectQuery.from(users).where(123), TypeError);
+        assert.throws(() => ObjectQuery.from({}), TypeError);
+    });
+
+    it('Test toArray() - orderBy, offset and limit', () => {
+        let users = createUsers();
+
+        let query = ObjectQuery.from(users).orderBy('age, name DESC');
+        assert.deepEqual(getIds(query.toArray()), [2, 4, 6, 1, 3, 5]);
+        assert.deepEqual(getIds(query.limit(3).toArray()), [2, 4, 6]);
+        assert.deepEqual(getIds(query.offset(2).limit(3).toArray()), [6, 1, 3]);
+        assert.deepEqual(getIds(query.offset(4).toArray()), [3, 5]);
+        assert.deepEqual(getIds(query.offset(5).limit(3).toArray()), [5]);
+        assert.deepEqual(getIds(query.offset(10).limit(3).toArray()), []);
+        assert.deepEqual(getIds(query.limit(0).toArray()), []);
+
+        // 使用 OrderField 对象数组
+        let orderFields = ObjectSorter.parseOrderExpression('name');
+        assert.deepEqual(getIds(ObjectQuery.from(users).orderBy(orderFields).limit(2).toArray()), [6, 2]);
+
+        // 多次调用 orderBy 时以最后一次为准
+        assert.deepEqual(getIds(query.orderBy('id DESC').limit(2).toArray()), [6, 5]);
+
+        // 没有排序条件
+        assert.deepEqual(getIds(ObjectQuery.from(users).offset(1).limit(2).toArray()), [2, 3]);
+        assert.deepEqual(getIds(ObjectQuery.from(users).where('age >= 18').offset(1).limit(2).toArray()), [3, 4]);
+
+        assert.throws(() => query.orderBy('name FOO'), ExpressionSyntaxError);
+        assert.throws(() => query.offset(-1), RangeError);
+        assert.throws(() => query.limit(1.5), TypeError);
+    });
+
+    it('Test toArray() - select', () => {
+        let users = createUsers();
+
+        let query = ObjectQuery.from(users)
+            .where('age >= 18')
+            .orderBy('name DESC')
+            .offset(1)
+            .limit(2);
+
+        assert.deepEqual(query.select('id, name').toArray(), [
+            { id: 3, name: 'shell' },
+            { id: 4, name: 'shark' }
+        ]);
+
+        assert.deepEqual(query.select('id, addr.city AS city').toArray(), [
+            { id: 3, city: 'BJ' },
+            { id: 4, city: 'SZ' }
+        ]);
+
+        assert.deepEqual(query.select(['id', 'age']).toArray(), [
+            { id: 3, age: 35 },
+            { id: 4, age: 18 }
+        ]);
+
+        assert.deepEqual(query.select({ key: 'id', label: user => user.name.toUpperCase() }).toArray(), [
+            { key: 3, label: 'SHELL' },
+            { key: 4, label: 'SHARK' }
+        ]);
+    });
+
+    it('Test toArray() - lazy and immutable', () => {
+        let users = createUsers();
+        let snapshot = createUsers();
+
+        let calledCount = 0;
+        let base = ObjectQuery.from(users).where(user => {
+            calledCount++;
+            return user.age >= 18;
+        });
+        assert.equal(calledCount, 0);
+
+        // 基础查询不受派生查询影响
+        let sorted = base.orderBy('age DESC');
+        let paged = sorted.limit(2);
+        assert.deepEqual(getIds(base.toArray()), [1, 3, 4, 5, 6]);
+        assert.deepEqual(getIds(sorted.toArray()), [5, 3, 1, 4, 6]);
+        assert.deepEqual(getIds(paged.toArray()), [5, 3]);
+
+        // 没有排序条件时过滤到足够数量即停止
+        calledCount = 0;
+        assert.deepEqual(getIds(base.limit(2).toArray()), [1, 3]);
+        assert.equal(calledCount, 3);
+
+        // 结果总是新数组，原数组以及项目对象不会被修改
+        let result = ObjectQuery.from(users).toArray();
+        assert.notEqual(result, users);
+        ObjectQuery.from(users).orderBy('name').select('id').toArray();
+        assert.deepEqual(users, snapshot);
+    });
+
+    it('Test first() and count()', () => {
+        let users = createUsers();
+
+        let query = ObjectQuery.from(users).where('addr.city = "SZ"');
+        assert.equal(query.count(), 2);
+        assert.equal(query.offset(1).limit(1).count(), 2);
+        assert.equal(query.orderBy('age').first().id, 4);
+        assert.deepEqual(query.orderBy('age DESC').select('name').first(), { name: 'foo' });
+        assert.equal(query.where('age > 100').first(), undefined);
+        assert.equal(ObjectQuery.from(users).count(), 6);
+    });
+});
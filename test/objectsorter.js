@@ -112,4 +112,604 @@ describe('ObjectSorter Test', () => {
         ObjectSorter.sortByOrderExpression(itemObjects, 'checked, sub.name DESC');
         assert(isMatchObjectIds(itemObjects, [1, 5, 9, 2, 6, 3]));
     });
-});
\ No newline at end of file
+
+    it('Test parseOrderExpression() - collation modifiers', () => {
+        let ns1 = ObjectSorter.parseOrderExpression('name NATURAL, title nocase DESC, city COLLATE de');
+        assert(ObjectUtils.arrayEquals(ns1, [
+            new OrderField('name', true, { isNaturalOrder: true }),
+            new OrderField('title', false, { isCaseInsensitive: true }),
+            new OrderField('city', true, { locale: 'de' })
+        ]));
+
+        let ns2 = ObjectSorter.parseOrderExpression('\'file name\' DESC NOCASE NATURAL');
+        assert(ObjectUtils.arrayEquals(ns2, [
+            new OrderField('file name', false, { isCaseInsensitive: true, isNaturalOrder: true })
+        ]));
+
+        // 语法错误
+        assert.deepEqual(ObjectSorter.parseOrderExpression('name FOO'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('name COLLATE'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('name, city COLLATE !!'), []);
+    });
+
+    it('Test sortByOrderExpression() - collation modifiers', () => {
+        let getNames = (items) => items.map(item => item.name);
+
+        let files = [{ name: 'file10' }, { name: 'file2' }, { name: 'File1' }];
+        ObjectSorter.sortByOrderExpression(files, 'name');
+        assert.deepEqual(getNames(files), ['File1', 'file10', 'file2']);
+
+        ObjectSorter.sortByOrderExpression(files, 'name NATURAL NOCASE');
+        assert.deepEqual(getNames(files), ['File1', 'file2', 'file10']);
+
+        ObjectSorter.sortByOrderExpression(files, 'name NATURAL DESC');
+        assert.deepEqual(getNames(files), ['file10', 'file2', 'File1']);
+
+        // 忽略大小写时 'a' 与 'A' 相等，由下一个属性决定顺序
+        let users = [
+            { id: 1, name: 'b' },
+            { id: 2, name: 'a' },
+            { id: 3, name: 'Z' },
+            { id: 4, name: 'A' },
+            { id: 5, name: null }
+        ];
+        ObjectSorter.sortByOrderExpression(users, 'name NOCASE, id DESC');
+        assert(isMatchObjectIds(users, [5, 4, 2, 1, 3]));
+
+        let cities = [{ name: 'z' }, { name: 'ä' }, { name: 'a' }];
+        ObjectSorter.sortByOrderExpression(cities, 'name COLLATE de');
+        assert.deepEqual(getNames(cities), ['a', 'ä', 'z']);
+
+        ObjectSorter.sortByOrderExpression(cities, 'name COLLATE sv');
+        assert.deepEqual(getNames(cities), ['a', 'z', 'ä']);
+    });
+
+    it('Test compareField() - OrderField', () => {
+        let left = { name: 'file2' };
+        let right = { name: 'file10' };
+
+        assert.equal(ObjectSorter.compareField(left, right, 'name'), 1);
+        assert.equal(ObjectSorter.compareField(left, right,
+            new OrderField('name', true, { isNaturalOrder: true })), -1);
+
+        // compareField 不考虑排序方向
+        assert.equal(ObjectSorter.compareField(left, right,
+            new OrderField('name', false, { isNaturalOrder: true })), -1);
+        assert.equal(ObjectSorter.compareObject(left, right, [
+            new OrderField('name', false, { isNaturalOrder: true })]), 1);
+    });
+
+    it('Test sortByOrderExpression() - NULLS FIRST/LAST', () => {
+        let tasks = [
+            { id: 1, due: 3 },
+            { id: 2, due: null },
+            { id: 3, due: 1 },
+            { id: 4 },
+            { id: 5, due: 2 }
+        ];
+
+        ObjectSorter.sortByOrderExpression(tasks, 'due');
+        assert(isMatchObjectIds(tasks, [4, 2, 3, 5, 1]));
+
+        ObjectSorter.sortByOrderExpression(tasks, 'due DESC');
+        assert(isMatchObjectIds(tasks, [1, 5, 3, 2, 4]));
+
+        ObjectSorter.sortByOrderExpression(tasks, 'due NULLS LAST');
+        assert(isMatchObjectIds(tasks, [3, 5, 1, 4, 2]));
+
+        ObjectSorter.sortByOrderExpression(tasks, 'due DESC nulls last');
+        assert(isMatchObjectIds(tasks, [1, 5, 3, 4, 2]));
+
+        ObjectSorter.sortByOrderExpression(tasks, 'due DESC NULLS FIRST');
+        assert(isMatchObjectIds(tasks, [4, 2, 1, 5, 3]));
+
+        assert.equal(ObjectSorter.compareObject(tasks[0], tasks[2],
+            ObjectSorter.parseOrderExpression('due NULLS LAST')), 1);
+
+        assert(ObjectUtils.arrayEquals(ObjectSorter.parseOrderExpression('due DESC NULLS LAST'), [
+            new OrderField('due', false, { nullsOrder: 'last' })
+        ]));
+        assert.deepEqual(ObjectSorter.parseOrderExpression('due NULLS'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('due NULLS MIDDLE'), []);
+    });
+
+    it('Test setDefaultNullsOrder()', () => {
+        let tasks = [
+            { id: 1, due: 3 },
+            { id: 2, due: null },
+            { id: 3, due: 1 }
+        ];
+
+        assert.equal(ObjectSorter.getDefaultNullsOrder(), null);
+
+        try {
+            ObjectSorter.setDefaultNullsOrder('last');
+
+            ObjectSorter.sortByOrderExpression(tasks, 'due');
+            assert(isMatchObjectIds(tasks, [3, 1, 2]));
+
+            ObjectSorter.sortByOrderExpression(tasks, 'due DESC');
+            assert(isMatchObjectIds(tasks, [1, 3, 2]));
+
+            // 显式指定的位置优先
+            ObjectSorter.sortByOrderExpression(tasks, 'due DESC NULLS FIRST');
+            assert(isMatchObjectIds(tasks, [2, 1, 3]));
+        } finally {
+            ObjectSorter.setDefaultNullsOrder(null);
+        }
+
+        assert.throws(() => ObjectSorter.setDefaultNullsOrder('middle'), TypeError);
+    });
+
+    it('Test sortByOrderExpression() - mixed types', () => {
+        let values = [
+            { id: 1, v: 'b' },
+            { id: 2, v: 10 },
+            { id: 3, v: 2n },
+            { id: 4, v: new Date(2000, 0, 1) },
+            { id: 5, v: true },
+            { id: 6, v: 'a' },
+            { id: 7, v: NaN },
+            { id: 8, v: new Date(1999, 0, 1) }
+        ];
+
+        ObjectSorter.sortByOrderExpression(values, 'v');
+        assert(isMatchObjectIds(values, [5, 7, 3, 2, 6, 1, 8, 4]));
+
+        let d1 = { v: new Date(2000, 0, 1) };
+        let d2 = { v: new Date(2000, 0, 1) };
+        assert.equal(ObjectSorter.compareField(d1, d2, 'v'), 0);
+        assert.equal(ObjectSorter.compareField({ v: 1 }, { v: 'a' }, 'v'), -1);
+        assert.equal(ObjectSorter.compareField({ v: 'a' }, { v: 1 }, 'v'), 1);
+    });
+
+    it('Test sortByOrderExpression() - USING', () => {
+        let releases = [
+            { id: 1, version: '1.10.0' },
+            { id: 2, version: '1.2.0' },
+            { id: 3, version: '1.2.0-rc.1' },
+            { id: 4, version: '1.2.0-beta.11' },
+            { id: 5, version: '1.2.0-beta.2' },
+            { id: 6, version: 'v0.9.9' }
+        ];
+
+        ObjectSorter.sortByOrderExpression(releases, 'version USING semver');
+        assert(isMatchObjectIds(releases, [6, 5, 4, 3, 2, 1]));
+
+        ObjectSorter.sortByOrderExpression(releases, 'version using SemVer DESC');
+        assert(isMatchObjectIds(releases, [1, 2, 3, 4, 5, 6]));
+
+        let prices = [
+            { id: 1, price: '10.5' },
+            { id: 2, price: '9.99' },
+            { id: 3, price: '-0.5' },
+            { id: 4, price: '12345678901234567890.1' },
+            { id: 5, price: '12345678901234567890.01' },
+            { id: 6, price: 'n/a' }
+        ];
+
+        ObjectSorter.sortByOrderExpression(prices, 'price USING decimal');
+        assert(isMatchObjectIds(prices, [3, 2, 1, 5, 4, 6]));
+
+        assert(ObjectUtils.arrayEquals(ObjectSorter.parseOrderExpression('version USING semver DESC'), [
+            new OrderField('version', false, { comparatorName: 'semver' })
+        ]));
+
+        assert.deepEqual(ObjectSorter.parseOrderExpression('version USING'), []);
+        assert.throws(() => ObjectSorter.parseOrderExpression('version USING foo'), {
+            name: 'RangeError',
+            message: 'Unknown comparator "foo".'
+        });
+        assert.throws(() => ObjectSorter.sort(releases, [
+            new OrderField('version', true, { comparatorName: 'foo' })
+        ]), RangeError);
+    });
+
+    it('Test registerComparator()', () => {
+        let items = [
+            { id: 1, tags: ['a', 'b'] },
+            { id: 2, tags: ['a'] },
+            { id: 3, tags: ['a', 'b', 'c'] },
+            { id: 4 }
+        ];
+
+        ObjectSorter.registerComparator('length', (left, right) => left.length - right.length);
+        try {
+            ObjectSorter.sortByOrderExpression(items, 'tags USING length DESC');
+            assert(isMatchObjectIds(items, [3, 1, 2, 4]));
+        } finally {
+            ObjectSorter.unregisterComparator('length');
+        }
+
+        assert.throws(() => ObjectSorter.parseOrderExpression('tags USING length'), RangeError);
+    });
+
+    it('Test registerFieldComparator() and registerTypeComparator()', () => {
+        class Money {
+            constructor(cents) {
+                this.cents = cents;
+            }
+        }
+
+        let items = [
+            { id: 1, price: new Money(300), version: '1.10.0' },
+            { id: 2, price: new Money(100), version: '1.9.0' },
+            { id: 3, price: new Money(200), version: '1.8.0' }
+        ];
+
+        ObjectSorter.registerTypeComparator(Money, (left, right) => left.cents - right.cents);
+        ObjectSorter.registerFieldComparator('version', 'semver');
+        try {
+            ObjectSorter.sortByOrderExpression(items, 'price');
+            assert(isMatchObjectIds(items, [2, 3, 1]));
+
+            ObjectSorter.sortByOrderExpression(items, 'version');
+            assert(isMatchObjectIds(items, [3, 2, 1]));
+
+            assert.equal(ObjectSorter.compareField(items[0], items[2], 'version'), -1);
+
+            // USING 子句优先
+            ObjectSorter.sortByOrderExpression(items, 'version USING decimal');
+            assert(isMatchObjectIds(items, [1, 3, 2]));
+        } finally {
+            ObjectSorter.unregisterTypeComparator(Money);
+            ObjectSorter.unregisterFieldComparator('version');
+        }
+
+        ObjectSorter.sortByOrderExpression(items, 'version');
+        assert(isMatchObjectIds(items, [1, 3, 2]));
+    });
+
+    it('Test parseOrderExpression() - function expressions', () => {
+        let ns1 = ObjectSorter.parseOrderExpression('LENGTH(tags) DESC, lower(name), COALESCE( nick , \'full name\' )');
+        assert(ObjectUtils.arrayEquals(ns1, [
+            new OrderField('LENGTH(tags)', false, {
+                expression: { functionName: 'LENGTH', args: ['tags'] }
+            }),
+            new OrderField('LOWER(name)', true, {
+                expression: { functionName: 'LOWER', args: ['name'] }
+            }),
+            new OrderField('COALESCE(nick, \'full name\')', true, {
+                expression: { functionName: 'COALESCE', args: ['nick', 'full name'] }
+            })
+        ]));
+
+        let ns2 = ObjectSorter.parseOrderExpression('LOWER(COALESCE(nick, meta.name)) NOCASE');
+        assert(ObjectUtils.arrayEquals(ns2, [
+            new OrderField('LOWER(COALESCE(nick, meta.name))', true, {
+                isCaseInsensitive: true,
+                expression: {
+                    functionName: 'LOWER',
+                    args: [{ functionName: 'COALESCE', args: ['nick', 'meta.name'] }]
+                }
+            })
+        ]));
+
+        // 语法错误
+        assert.deepEqual(ObjectSorter.parseOrderExpression('FOO(name)'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('LOWER(name'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('LOWER()'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('LOWER(a, b)'), []);
+        assert.deepEqual(ObjectSorter.parseOrderExpression('COALESCE(a b)'), []);
+
+        // 带引号的名称不是函数
+        let ns3 = ObjectSorter.parseOrderExpression('\'LOWER(name)\'');
+        assert(ObjectUtils.arrayEquals(ns3, [new OrderField('LOWER(name)')]));
+    });
+
+    it('Test sortByOrderExpression() - function expressions', () => {
+        let users = [
+            { id: 1, name: 'bob', tags: ['a'] },
+            { id: 2, name: 'Alice', nick: 'zed', tags: ['a', 'b'] },
+            { id: 3, name: 'carl', tags: [] },
+            { id: 4, name: 'Dave', tags: ['a', 'b'], balance: -30 },
+            { id: 5, name: 'eve', balance: 20 }
+        ];
+
+        ObjectSorter.sortByOrderExpression(users, 'LOWER(name)');
+        assert(isMatchObjectIds(users, [2, 1, 3, 4, 5]));
+
+        ObjectSorter.sortByOrderExpression(users, 'LENGTH(tags) DESC, name');
+        assert(isMatchObjectIds(users, [2, 4, 1, 3, 5]));
+
+        ObjectSorter.sortByOrderExpression(users, 'COALESCE(nick, name)');
+        assert(isMatchObjectIds(users, [4, 1, 3, 5, 2]));
+
+        ObjectSorter.sortByOrderExpression(users, 'ABS(balance) DESC NULLS LAST, id');
+        assert(isMatchObjectIds(users, [4, 5, 1, 2, 3]));
+
+        // 项目对象不会被修改
+        assert.deepEqual(Object.keys(users[0]), ['id', 'name', 'tags', 'balance']);
+
+        let orderFields = ObjectSorter.parseOrderExpression('UPPER(TRIM(name))');
+        assert.equal(ObjectSorter.compareObject({ name: ' b ' }, { name: 'A' }, orderFields), 1);
+        assert.equal(ObjectSorter.compareField({ name: ' a' }, { name: 'A ' }, orderFields[0]), 0);
+    });
+
+    it('Test createComparator()', () => {
+        let itemObjects = createItemObjects();
+
+        let comparator = ObjectSorter.createComparator('checked, sub.name DESC');
+        itemObjects.sort(comparator);
+        assert(isMatchObjectIds(itemObjects, [1, 5, 9, 2, 6, 3]));
+
+        let orderFields = ObjectSorter.parseOrderExpression('type, id');
+        let comparator2 = ObjectSorter.createComparator(orderFields);
+        assert.equal(comparator2(itemObjects[0], itemObjects[2]), 1);
+        assert.equal(comparator2(itemObjects[2], itemObjects[0]), -1);
+        assert.equal(comparator2(itemObjects[0], itemObjects[0]), 0);
+        assert.equal(comparator2(itemObjects[0], itemObjects[1]),
+            ObjectSorter.compareObject(itemObjects[0], itemObjects[1], orderFields));
+
+        // compareObject 缓存的比较函数在排序条件或者设置改变之后重新创建
+        let orderFields2 = [new OrderField('due')];
+        assert.equal(ObjectSorter.compareObject({ due: 1 }, {}, orderFields2), 1);
+
+        ObjectSorter.setDefaultNullsOrder('first');
+        try {
+            assert.equal(ObjectSorter.compareObject({ due: 1 }, {}, orderFields2), 1);
+            orderFields2[0] = new OrderField('due', false);
+            assert.equal(ObjectSorter.compareObject({ due: 1 }, {}, orderFields2), 1);
+        } finally {
+            ObjectSorter.setDefaultNullsOrder(null);
+        }
+        assert.equal(ObjectSorter.compareObject({ due: 1 }, {}, orderFields2), -1);
+
+        ObjectSorter.registerFieldComparator('due', (left, right) => right - left);
+        try {
+            assert.equal(ObjectSorter.compareObject({ due: 1 }, { due: 2 }, orderFields2), -1);
+        } finally {
+            ObjectSorter.unregisterFieldComparator('due');
+        }
+        assert.equal(ObjectSorter.compareObject({ due: 1 }, { due: 2 }, orderFields2), 1);
+
+        // 直接修改 OrderField 对象
+        orderFields2[0].isAscendingOrder = true;
+        assert.equal(ObjectSorter.compareObject({ due: 1 }, { due: 2 }, orderFields2), -1);
+        orderFields2[0].expression = { functionName: 'ABS', args: ['due'] };
+        assert.equal(ObjectSorter.compareObject({ due: -3 }, { due: 2 }, orderFields2), 1);
+        assert.equal(ObjectSorter.compareObject({ due: -3 }, { due: 2 }, orderFields2),
+            ObjectSorter.createComparator(orderFields2)({ due: -3 }, { due: 2 }));
+    });
+
+    it('Test sortedCopy()', () => {
+        let itemObjects = createItemObjects();
+        let originalIds = itemObjects.map(item => item.id);
+
+        let sorted1 = ObjectSorter.sortedCopy(itemObjects, 'checked, sub.name');
+        assert(isMatchObjectIds(sorted1, [9, 5, 1, 3, 6, 2]));
+
+        // 原数组不会被修改
+        assert(isMatchObjectIds(itemObjects, originalIds));
+
+        let sorted2 = ObjectSorter.sortedCopy(itemObjects,
+            ObjectSorter.parseOrderExpression('type DESC, LENGTH(sub.name), id DESC'));
+        assert(isMatchObjectIds(sorted2, [5, 2, 1, 9, 6, 3]));
+
+        // 稳定排序
+        let sorted3 = ObjectSorter.sortedCopy(itemObjects, 'type');
+        assert(isMatchObjectIds(sorted3, [6, 9, 3, 5, 2, 1]));
+
+        assert.deepEqual(ObjectSorter.sortedCopy([], 'id'), []);
+    });
+
+    it('Test lowerBound(), upperBound() and indexOfSorted()', () => {
+        let itemObjects = [
+            { id: 1, score: 10 },
+            { id: 2, score: 20 },
+            { id: 3, score: 20 },
+            { id: 4, score: 20 },
+            { id: 5, score: 30 }
+        ];
+
+        assert.equal(ObjectSorter.lowerBound(itemObjects, { score: 20 }, 'score'), 1);
+        assert.equal(ObjectSorter.upperBound(itemObjects, { score: 20 }, 'score'), 4);
+        assert.equal(ObjectSorter.lowerBound(itemObjects, { score: 5 }, 'score'), 0);
+        assert.equal(ObjectSorter.upperBound(itemObjects, { score: 40 }, 'score'), 5);
+        assert.equal(ObjectSorter.lowerBound([], { score: 5 }, 'score'), 0);
+
+        assert.equal(ObjectSorter.indexOfSorted(itemObjects, { score: 20 }, 'score'), 1);
+        assert.equal(ObjectSorter.indexOfSorted(itemObjects, { score: 30 }, 'score'), 4);
+        assert.equal(ObjectSorter.indexOfSorted(itemObjects, { score: 25 }, 'score'), -1);
+        assert.equal(ObjectSorter.indexOfSorted(itemObjects, { score: 40 }, 'score'), -1);
+
+        // 倒序，多个排序字段
+        let orderFields = ObjectSorter.parseOrderExpression('score DESC, id');
+        let sorted = ObjectSorter.sortedCopy(itemObjects, orderFields);
+        assert(isMatchObjectIds(sorted, [5, 2, 3, 4, 1]));
+        assert.equal(ObjectSorter.indexOfSorted(sorted, { score: 20, id: 3 }, orderFields), 2);
+        assert.equal(ObjectSorter.lowerBound(sorted, { score: 20, id: 0 }, orderFields), 1);
+        assert.equal(ObjectSorter.upperBound(sorted, { score: 20, id: 9 }, orderFields), 4);
+    });
+
+    it('Test insertSorted()', () => {
+        let itemObjects = createItemObjects();
+        let orderExpression = 'type, sub.name DESC';
+        ObjectSorter.sortByOrderExpression(itemObjects, orderExpression);
+        assert(isMatchObjectIds(itemObjects, [6, 3, 9, 1, 5, 2]));
+
+        assert.equal(ObjectSorter.insertSorted(itemObjects,
+            { id: 7, type: 'bar', sub: { name: 'bb' } }, orderExpression), 1);
+        assert.equal(ObjectSorter.insertSorted(itemObjects,
+            { id: 8, type: 'zoo', sub: { name: 'a' } }, orderExpression), 7);
+
+        // 相等的项目对象插入到后面
+        assert.equal(ObjectSorter.insertSorted(itemObjects,
+            { id: 10, type: 'foo', sub: { name: 'e' } }, orderExpression), 6);
+        assert(isMatchObjectIds(itemObjects, [6, 7, 3, 9, 1, 5, 10, 2, 8]));
+
+        // 插入后的结果与重新排序的结果一致
+        let sorted = ObjectSorter.sortedCopy(itemObjects, orderExpression);
+        assert.deepEqual(sorted, itemObjects);
+
+        let emptyObjects = [];
+        assert.equal(ObjectSorter.insertSorted(emptyObjects, { id: 1 }, 'id'), 0);
+        assert.deepEqual(emptyObjects, [{ id: 1 }]);
+    });
+
+    it('Test topK() and sortPage()', () => {
+        let itemObjects = [];
+        for (let idx = 0; idx < 200; idx++) {
+            // 有大量相等的值，以检查先后顺序与完整排序一致
+            itemObjects.push({ id: idx, group: (idx * 7) % 5, score: (idx * 13) % 17 });
+        }
+
+        let originalIds = itemObjects.map(item => item.id);
+
+        for (let orderExpression of ['group', 'score DESC', 'group DESC, score', 'id DESC']) {
+            let sorted = ObjectSorter.sortedCopy(itemObjects, orderExpression);
+
+            assert.deepEqual(ObjectSorter.topK(itemObjects, orderExpression, 10), sorted.slice(0, 10));
+            assert.deepEqual(ObjectSorter.topK(itemObjects, orderExpression, 1), sorted.slice(0, 1));
+            assert.deepEqual(ObjectSorter.sortPage(itemObjects, orderExpression, 20, 10), sorted.slice(20, 30));
+            assert.deepEqual(ObjectSorter.sortPage(itemObjects, orderExpression, 190, 50), sorted.slice(190));
+        }
+
+        // 原数组不会被修改
+        assert(isMatchObjectIds(itemObjects, originalIds));
+
+        let orderFields = ObjectSorter.parseOrderExpression('score');
+        assert.deepEqual(ObjectSorter.topK(itemObjects, orderFields, 300),
+            ObjectSorter.sortedCopy(itemObjects, orderFields));
+
+        assert.deepEqual(ObjectSorter.topK(itemObjects, 'score', 0), []);
+        assert.deepEqual(ObjectSorter.sortPage(itemObjects, 'score', 200, 10), []);
+        assert.deepEqual(ObjectSorter.topK([], 'score', 5), []);
+
+        // 数量必须是非负整数
+        assert.throws(() => ObjectSorter.topK(itemObjects, 'score'), TypeError);
+        assert.throws(() => ObjectSorter.topK(itemObjects, 'score', 1.5), TypeError);
+        assert.throws(() => ObjectSorter.sortPage(itemObjects, 'score', -1, 2), RangeError);
+        assert.throws(() => ObjectSorter.sortPage(itemObjects, 'score', 0, -1), RangeError);
+        assert.throws(() => ObjectSorter.topK(itemObjects, 'score', -3), RangeError);
+        assert.throws(() => ObjectSorter.sortPage(itemObjects, 'score', '1', 2), TypeError);
+        assert.throws(() => ObjectSorter.sortPage(itemObjects, 'score', 0, Infinity), TypeError);
+    });
+
+    it('Test parseOrderExpression() - ASC and case-insensitive keywords', () => {
+        let ns1 = ObjectSorter.parseOrderExpression('foo asc, bar Desc, baz ASC nulls Last');
+        assert(ObjectUtils.arrayEquals(ns1, [
+            new OrderField('foo'),
+            new OrderField('bar', false),
+            new OrderField('baz', true, { nullsOrder: 'last' })
+        ]));
+    });
+
+    it('Test parseOrderExpression() - strict', () => {
+        let checkError = (orderExpression, position, expected) => {
+            assert.throws(() => ObjectSorter.parseOrderExpression(orderExpression, true), (e) => {
+                return e.name === 'ExpressionSyntaxError' &&
+                    e.position === position &&
+                    e.expected === expected;
+            });
+        };
+
+        assert(ObjectUtils.arrayEquals(ObjectSorter.parseOrderExpression('foo, bar DESC', true), [
+            new OrderField('foo'),
+            new OrderField('bar', false)
+        ]));
+        assert.deepEqual(ObjectSorter.parseOrderExpression('', true), []);
+
+        checkError('foo DESCX', 4,
+            '"ASC", "DESC", "NOCASE", "NATURAL", "COLLATE", "NULLS", "USING" or ","');
+        checkError('foo, bar DESC X', 14,
+            '"ASC", "DESC", "NOCASE", "NATURAL", "COLLATE", "NULLS", "USING" or ","');
+        checkError('foo,,bar', 4, 'name');
+        checkError('foo,', 4, 'name');
+        checkError('\'foo', 4, '"\'"');
+        checkError('"foo', 4, '\'"\'');
+        checkError('foo COLLATE, bar', 11, 'locale');
+        checkError('foo COLLATE !!', 12, 'locale');
+        checkError('foo NULLS MIDDLE', 10, '"FIRST" or "LAST"');
+        checkError('foo NULLS', 9, '"FIRST" or "LAST"');
+        checkError('foo USING', 9, 'comparator name');
+        checkError('FOO(name)', 0, 'function name (LENGTH, LOWER, UPPER, TRIM, ABS, COALESCE)');
+        checkError('LOWER(name', 10, '")"');
+        checkError('LOWER(a, b)', 7, '")"');
+        checkError('LOWER()', 6, 'name');
+        checkError('COALESCE(a b)', 11, '"," or ")"');
+        checkError('COALESCE(a, \'b)', 15, '"\'"');
+
+        // 未注册的比较函数不是语法错误
+        assert.throws(() => ObjectSorter.parseOrderExpression('foo USING bar', true), RangeError);
+
+        let result1 = ObjectSorter.validateOrderExpression('foo DESC, bar NOCASE');
+        assert(result1.valid);
+        assert.equal(result1.error, undefined);
+
+        let result2 = ObjectSorter.validateOrderExpression('foo DESC,');
+        assert(!result2.valid);
+        assert.equal(result2.error.message, 'Unexpected end of expression at position 9, expected name.');
+    });
+
+    it('Test toOrderExpression()', () => {
+        let orderFields = [
+            new OrderField('foo'),
+            new OrderField('meta.name', false),
+            new OrderField('file name', false, { isNaturalOrder: true, isCaseInsensitive: true }),
+            new OrderField('it\'s, ok', true, { locale: 'de', nullsOrder: 'last' }),
+            new OrderField('version', false, { comparatorName: 'semver', nullsOrder: 'first' }),
+            new OrderField('(x)')
+        ];
+
+        let orderExpression = ObjectSorter.toOrderExpression(orderFields);
+        assert.equal(orderExpression,
+            'foo, meta.name DESC, \'file name\' DESC NOCASE NATURAL, ' +
+            '\'it\'\'s, ok\' COLLATE de NULLS LAST, version DESC NULLS FIRST USING semver, \'(x)\'');
+
+        assert(ObjectUtils.arrayEquals(ObjectSorter.parseOrderExpression(orderExpression, true), orderFields));
+
+        let orderExpression2 = 'LENGTH(tags) DESC, COALESCE(nick, \'full name\') NOCASE';
+        let orderFields2 = ObjectSorter.parseOrderExpression(orderExpression2, true);
+        assert.equal(ObjectSorter.toOrderExpression(orderFields2), orderExpression2);
+
+        assert.equal(ObjectSorter.toOrderExpression([]), '');
+    });
+
+    it('Test OrderField toString() and fromJSON()', () => {
+        let orderField = new OrderField('file name', false, { isNaturalOrder: true });
+        assert.equal(orderField.toString(), '\'file name\' DESC NATURAL');
+        assert.equal(String(new OrderField('id')), 'id');
+
+        let json = JSON.stringify(orderField);
+        let orderField2 = OrderField.fromJSON(json);
+        assert(orderField2 instanceof OrderField);
+        assert(ObjectUtils.objectEquals(orderField2, orderField));
+
+        let orderField3 = ObjectSorter.parseOrderExpression('LOWER(name) DESC NULLS LAST')[0];
+        let orderField4 = OrderField.fromJSON(JSON.parse(JSON.stringify(orderField3)));
+        assert(ObjectUtils.objectEquals(orderField4, orderField3));
+        assert.equal(orderField4.toString(), 'LOWER(name) DESC NULLS LAST');
+
+        // 省略的属性使用默认值
+        assert(ObjectUtils.objectEquals(OrderField.fromJSON({ fieldName: 'id' }), new OrderField('id')));
+
+        assert.throws(() => OrderField.fromJSON('{}'), TypeError);
+        assert.throws(() => OrderField.fromJSON(null), TypeError);
+
+        // 无效的属性在创建时即抛出异常，而不是到排序时才出错
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'x', isAscendingOrder: 'no' }), TypeError);
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'x', locale: 1 }), TypeError);
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'x', nullsOrder: 'middle' }), RangeError);
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'x', comparatorName: 'foo' }), RangeError);
+        assert.throws(() => OrderField.fromJSON(
+            '{"fieldName":"x","expression":{"functionName":"constructor","args":["x"]}}'), RangeError);
+        assert.throws(() => OrderField.fromJSON(
+            { fieldName: 'x', expression: { functionName: 'LOWER', args: ['x', 'y'] } }), RangeError);
+        assert.throws(() => OrderField.fromJSON(
+            { fieldName: 'x', expression: { functionName: 'LOWER', args: [1] } }), TypeError);
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'x', expression: 'LOWER(x)' }), TypeError);
+
+        assert.throws(() => OrderField.fromJSON({ fieldName: 'a', locale: 'not a locale!!' }), RangeError);
+        assert.equal(OrderField.fromJSON({ fieldName: 'a', locale: 'zh-CN' }).locale, 'zh-CN');
+        assert.throws(() => OrderField.fromJSON(
+            { fieldName: 'a', expression: { functionName: 'LOWER', args: ['x'] } }), RangeError);
+        assert.equal(OrderField.fromJSON({
+            fieldName: 'COALESCE(nick, \'full name\')',
+            expression: { functionName: 'COALESCE', args: ['nick', 'full name'] }
+        }).toString(), 'COALESCE(nick, \'full name\')');
+
+        let orderField5 = OrderField.fromJSON({ fieldName: 'x', isAscendingOrder: false, nullsOrder: 'first' });
+        assert.equal(orderField5.toString(), 'x DESC NULLS FIRST');
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert/strict');
+
+const ValueUtils = require('../src/valueutils');
+
+describe('ValueUtils Test', () => {
+    it('Test compare()', () => {
+        assert(ValueUtils.compare({ a: [1] }, '==', { a: [1] }));
+        assert(ValueUtils.compare(new Date(1), '==', new Date(1)));
+        assert(ValueUtils.compare(1, '!=', '1'));
+        assert(ValueUtils.compare(1, '<', 2));
+        assert(ValueUtils.compare('b', '>=', 'a'));
+        assert(ValueUtils.compare(new Date(1), '<=', new Date(2)));
+
+        // 不同类型之间不能比较大小
+        assert(!ValueUtils.compare('2', '>', 1));
+        assert(!ValueUtils.compare(null, '<', 1));
+        assert(!ValueUtils.compare(new Date(2), '>', 1));
+    });
+
+    it('Test compileWildcardPattern()', () => {
+        let isMatch1 = ValueUtils.compileWildcardPattern('a*b?c', '*', '?');
+        assert(isMatch1('abxc'));
+        assert(isMatch1('axxbbyc'));
+        assert(!isMatch1('abc'));
+        assert(!isMatch1('Abxc'));
+
+        let isMatch2 = ValueUtils.compileWildcardPattern('%Shen_hen%', '%', '_', true);
+        assert(isMatch2('in shenzhen city'));
+        assert(!isMatch2('shenhen'));
+
+        // 没有单字符通配符时，'?' 按字面匹配
+        let isMatch3 = ValueUtils.compileWildcardPattern('meta_*?', '*');
+        assert(isMatch3('meta_a?'));
+        assert(!isMatch3('meta_ab'));
+
+        // 多个连续的多字符通配符
+        let isMatch4 = ValueUtils.compileWildcardPattern('**', '*');
+        assert(isMatch4(''));
+        assert(isMatch4('anything'));
+
+        // 不会因为回溯而超时
+        let isMatch5 = ValueUtils.compileWildcardPattern('*a*a*a*a*a*a*a*c', '*');
+        assert(!isMatch5('a'.repeat(20000)));
+    });
+});